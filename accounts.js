@@ -0,0 +1,302 @@
+/**
+ * Player accounts and lifetime statistics.
+ *
+ * Passwords are stored as salted scrypt hashes. Logging in issues a
+ * session token that the client keeps so a page refresh does not ask
+ * for the password again.
+ *
+ * Two backends implement the same async interface, as for room state:
+ *  - createRedisAccountBackend(client): used when REDIS_URL is set, so
+ *    an account made on one replica can sign in on any other
+ *  - createFileAccountBackend(dataDir): accounts.json in the data
+ *    directory (DATA_DIR, by default ./data) for a single server
+ */
+
+const crypto = require('crypto');
+const { openDataFile } = require('./datafile');
+
+const USER_PREFIX = 'bridge:user:';
+const STATS_PREFIX = 'bridge:stats:';
+const SESSION_PREFIX = 'bridge:session:';
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 6;
+const SCRYPT_KEY_LENGTH = 64;
+// Sessions are forgotten after a month without use
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Stats for a new account. Contract results count only deals the
+ * player declared, split by bid level and by trump suit ('N' for No
+ * Trump).
+ *
+ * @returns {object}
+ */
+function emptyStats() {
+  return {
+    dealsPlayed: 0,
+    timesDeclarer: 0,
+    timesPartner: 0,
+    setsWon: 0,
+    contractsByLevel: {},
+    contractsBySuit: {},
+  };
+}
+
+/**
+ * @param {string} password
+ * @param {string} salt hex
+ * @returns {Promise<string>} hex hash
+ */
+function hashPassword(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => {
+      if (err) reject(err);
+      else resolve(key.toString('hex'));
+    });
+  });
+}
+
+/**
+ * The parts of an account that may be shown to anyone.
+ *
+ * @param {object} user
+ * @returns {{username:string, createdAt:number, stats:object}}
+ */
+function publicUser(user) {
+  return { username: user.username, createdAt: user.createdAt, stats: user.stats };
+}
+
+/**
+ * Add counters to a stats object. Counter names are paths into the
+ * stats, e.g. 'dealsPlayed' or 'contractsByLevel.3.made', so the same
+ * counters can be kept as fields of a Redis hash.
+ *
+ * @param {object} stats
+ * @param {Object<string, number|string>} counts
+ * @returns {object} stats
+ */
+function addCounts(stats, counts) {
+  Object.entries(counts).forEach(([field, count]) => {
+    const path = field.split('.');
+    const last = path.pop();
+    let node = stats;
+    path.forEach((key) => {
+      node = node[key] ||= {};
+    });
+    node[last] = (node[last] || 0) + Number(count);
+  });
+  return stats;
+}
+
+/**
+ * The counters one finished deal adds to a player's stats.
+ *
+ * @param {{declarer:boolean, partner:boolean, won:boolean,
+ *   contract:{level:number,suit:string}, contractMade:boolean}} result
+ * @returns {Object<string, number>}
+ */
+function dealCounts(result) {
+  const counts = { dealsPlayed: 1, setsWon: result.won ? 1 : 0, timesPartner: result.partner ? 1 : 0 };
+  if (result.declarer) {
+    counts.timesDeclarer = 1;
+    for (const field of [`contractsByLevel.${result.contract.level}`, `contractsBySuit.${result.contract.suit}`]) {
+      counts[`${field}.played`] = 1;
+      counts[`${field}.made`] = result.contractMade ? 1 : 0;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Keep accounts in Redis. Credentials live under `bridge:user:<name>`,
+ * stats counters in the hash `bridge:stats:<name>` so replicas can add
+ * to them at the same time, and sessions under `bridge:session:<token>`
+ * with Redis expiring them.
+ *
+ * @param {import('redis').RedisClientType} client
+ */
+function createRedisAccountBackend(client) {
+  async function getUser(key) {
+    const raw = await client.get(USER_PREFIX + key);
+    if (!raw) return null;
+    const counts = await client.hGetAll(STATS_PREFIX + key);
+    return { ...JSON.parse(raw), stats: addCounts(emptyStats(), counts) };
+  }
+
+  // Claims the name atomically; false if it is taken
+  async function addUser(key, user) {
+    const created = await client.set(USER_PREFIX + key, JSON.stringify(user), { condition: 'NX' });
+    return created === 'OK';
+  }
+
+  async function addStats(key, counts) {
+    await Promise.all(
+      Object.entries(counts).map(([field, count]) => client.hIncrBy(STATS_PREFIX + key, field, count)),
+    );
+  }
+
+  async function createSession(token, username) {
+    await client.set(SESSION_PREFIX + token, username, { expiration: { type: 'PX', value: SESSION_TTL_MS } });
+  }
+
+  async function getSession(token) {
+    return client.get(SESSION_PREFIX + token);
+  }
+
+  async function touchSession(token) {
+    await client.pExpire(SESSION_PREFIX + token, SESSION_TTL_MS);
+  }
+
+  async function deleteSession(token) {
+    await client.del(SESSION_PREFIX + token);
+  }
+
+  return { getUser, addUser, addStats, createSession, getSession, touchSession, deleteSession };
+}
+
+/**
+ * Keep accounts in a JSON file in dataDir, read once on creation. Only
+ * one process should use the file.
+ *
+ * @param {string} dataDir
+ */
+function createFileAccountBackend(dataDir) {
+  const { data, save: persist } = openDataFile(dataDir, 'accounts.json', { users: {}, sessions: {} });
+
+  async function getUser(key) {
+    return data.users[key] || null;
+  }
+
+  async function addUser(key, user) {
+    if (data.users[key]) return false;
+    data.users[key] = { ...user, stats: emptyStats() };
+    await persist();
+    return true;
+  }
+
+  async function addStats(key, counts) {
+    if (!data.users[key]) return;
+    addCounts(data.users[key].stats, counts);
+    await persist();
+  }
+
+  // Dropping any sessions that have expired along the way
+  async function createSession(token, username) {
+    const now = Date.now();
+    Object.keys(data.sessions).forEach((key) => {
+      if (data.sessions[key].expiresAt < now) delete data.sessions[key];
+    });
+    data.sessions[token] = { username, expiresAt: now + SESSION_TTL_MS };
+    await persist();
+  }
+
+  async function getSession(token) {
+    const session = data.sessions[token];
+    return session && session.expiresAt >= Date.now() ? session.username : null;
+  }
+
+  async function touchSession(token) {
+    if (data.sessions[token]) data.sessions[token].expiresAt = Date.now() + SESSION_TTL_MS;
+  }
+
+  async function deleteSession(token) {
+    if (!data.sessions[token]) return;
+    delete data.sessions[token];
+    await persist();
+  }
+
+  return { getUser, addUser, addStats, createSession, getSession, touchSession, deleteSession };
+}
+
+/**
+ * Create an account store on top of one of the backends above.
+ *
+ * @param {object} backend
+ */
+function createAccountStore(backend) {
+  async function findUser(username) {
+    return typeof username === 'string' ? backend.getUser(username.toLowerCase()) : null;
+  }
+
+  async function createSession(user) {
+    const token = crypto.randomBytes(24).toString('hex');
+    await backend.createSession(token, user.username);
+    return token;
+  }
+
+  /**
+   * @returns {Promise<{user?:object, token?:string, error?:string}>}
+   */
+  async function register(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return { error: 'Usernames are 3 to 20 letters, digits, "_" or "-".' };
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.` };
+    }
+    if (await findUser(username)) return { error: 'That username is taken.' };
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await hashPassword(password, salt);
+    const user = { username, salt, hash, createdAt: Date.now() };
+    // Another registration may have taken the name while hashing
+    if (!(await backend.addUser(username.toLowerCase(), user))) return { error: 'That username is taken.' };
+    const token = await createSession(user);
+    return { user: publicUser({ ...user, stats: emptyStats() }), token };
+  }
+
+  /**
+   * @returns {Promise<{user?:object, token?:string, error?:string}>}
+   */
+  async function login(username, password) {
+    const user = await findUser(username);
+    if (!user || typeof password !== 'string') return { error: 'Wrong username or password.' };
+    const hash = await hashPassword(password, user.salt);
+    if (!crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.hash, 'hex'))) {
+      return { error: 'Wrong username or password.' };
+    }
+    const token = await createSession(user);
+    return { user: publicUser(user), token };
+  }
+
+  /**
+   * Look up the account of a session token, extending the session.
+   *
+   * @returns {Promise<object|null>} public user or null
+   */
+  async function resumeSession(token) {
+    if (typeof token !== 'string') return null;
+    const username = await backend.getSession(token);
+    const user = username ? await findUser(username) : null;
+    if (!user) return null;
+    await backend.touchSession(token);
+    return publicUser(user);
+  }
+
+  async function logout(token) {
+    if (typeof token === 'string') await backend.deleteSession(token);
+  }
+
+  /**
+   * @returns {Promise<object|null>} public user or null
+   */
+  async function getUser(username) {
+    const user = await findUser(username);
+    return user ? publicUser(user) : null;
+  }
+
+  /**
+   * Add one finished deal to the stats of every account that played
+   * it. Each result names the account and what happened to it.
+   *
+   * @param {Array<{username:string, declarer:boolean, partner:boolean,
+   *   won:boolean, contract:{level:number,suit:string}, contractMade:boolean}>} results
+   */
+  async function recordDeal(results) {
+    await Promise.all(results.map((result) => backend.addStats(result.username.toLowerCase(), dealCounts(result))));
+  }
+
+  return { register, login, resumeSession, logout, getUser, recordDeal };
+}
+
+module.exports = { createAccountStore, createFileAccountBackend, createRedisAccountBackend };
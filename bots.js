@@ -0,0 +1,138 @@
+/**
+ * Choices made by computer-controlled players. Each function looks at
+ * the room's state from the bot's seat and returns what it would do;
+ * server.js turns the choice into a game action.
+ */
+
+const { SUIT_RANKING, evaluateTrick, highCardPoints, isHigherBid, legalCardIndices } = require('./game');
+
+/**
+ * Pick a bid for a bot from its hand strength. Points are high-card
+ * points plus one for each card beyond four in a suit; with 12 or more
+ * the bot bids its longest suit (or No Trump with a balanced 15+ HCP)
+ * at the cheapest level that outranks the current bid, going up one
+ * level for every three extra points. Returns null to pass.
+ *
+ * @param {object} room
+ * @param {object} player
+ * @returns {{level:number,suit:string}|null}
+ */
+function chooseBotBid(room, player) {
+  const hand = player.hand;
+  const hcp = highCardPoints(hand);
+  const suits = ['C', 'D', 'H', 'S'].map((suit) => {
+    const cards = hand.filter((c) => c.suit === suit);
+    return { suit, length: cards.length, hcp: highCardPoints(cards) };
+  });
+  const points = hcp + suits.reduce((sum, s) => sum + Math.max(0, s.length - 4), 0);
+  if (points < 12) return null;
+  const balanced = suits.every((s) => s.length >= 2 && s.length <= 4);
+  const best = suits
+    .slice()
+    .sort((a, b) => b.length - a.length || b.hcp - a.hcp || SUIT_RANKING[b.suit] - SUIT_RANKING[a.suit])[0];
+  const suit = balanced && hcp >= 15 ? 'N' : best.suit;
+  const maxLevel = Math.min(room.rules.maxBidLevel, 1 + Math.floor((points - 12) / 3));
+  for (let level = 1; level <= maxLevel; level++) {
+    const bid = { level, suit };
+    if (isHigherBid(bid, room.highestBid)) return bid;
+  }
+  return null;
+}
+
+/**
+ * Pick the partner card for a bot declarer: the highest trump it does
+ * not hold, or in No Trump the highest missing card of its longest
+ * suit.
+ *
+ * @param {object} room
+ * @param {object} player
+ * @returns {{rank:number,suit:string}}
+ */
+function chooseBotCallCard(room, player) {
+  const holds = (suit, rank) => player.hand.some((c) => c.suit === suit && c.rank === rank);
+  let suits = ['S', 'H', 'D', 'C'].sort(
+    (a, b) => player.hand.filter((c) => c.suit === b).length - player.hand.filter((c) => c.suit === a).length,
+  );
+  if (room.trumpSuit) suits = [room.trumpSuit].concat(suits.filter((s) => s !== room.trumpSuit));
+  for (const suit of suits) {
+    for (let rank = 14; rank >= 2; rank--) {
+      if (!holds(suit, rank)) return { rank, suit };
+    }
+  }
+  return { rank: 14, suit: suits[0] };
+}
+
+/**
+ * Positions a player can be sure are on their side: the declarer knows
+ * the partner once revealed, the partner always knows the declarer,
+ * and a defender knows the other defender once the partner is out.
+ *
+ * @param {object} room
+ * @param {object} player
+ * @returns {Set<number>}
+ */
+function knownTeammates(room, player) {
+  const declarerPos = room.highestBidder;
+  const team = new Set();
+  if (player.pos === declarerPos) {
+    if (room.partnerRevealed) team.add(room.partnerPos);
+  } else if (player.isPartner) {
+    team.add(declarerPos);
+  } else if (room.partnerRevealed) {
+    room.players.forEach((p) => {
+      if (p.pos !== declarerPos && p.pos !== room.partnerPos && p.pos !== player.pos) team.add(p.pos);
+    });
+  }
+  return team;
+}
+
+/**
+ * Choose a card for a bot with basic card-play logic. On lead, the
+ * declarer's side draws trumps while it holds the top trump, then
+ * anyone cashes winners before leading low from their longest side
+ * suit. When following, a bot plays low if a known teammate is
+ * already winning, otherwise wins as cheaply as it can, and otherwise
+ * plays (or discards) its lowest card.
+ *
+ * @param {object} room
+ * @param {object} player
+ * @returns {{suit:string,rank:number}}
+ */
+function chooseBotCard(room, player) {
+  const trump = room.trumpSuit;
+  const legal = legalCardIndices(room, player).map((i) => player.hand[i]);
+  // Cards nobody has played yet, apart from the bot's own
+  const unseen = [];
+  room.players.forEach((p) => {
+    if (p !== player) unseen.push(...p.hand);
+  });
+  const isMaster = (card) => !unseen.some((c) => c.suit === card.suit && c.rank > card.rank);
+  // Order cards cheapest first: side suits before trumps, then by rank
+  const cost = (card) => card.rank + (trump && card.suit === trump ? 100 : 0);
+  const cheapest = (cards) => cards.slice().sort((a, b) => cost(a) - cost(b))[0];
+
+  if (room.currentTrick.length === 0) {
+    const onDeclarerSide = player.pos === room.highestBidder || player.isPartner;
+    if (trump && onDeclarerSide && unseen.some((c) => c.suit === trump)) {
+      const topTrump = legal.find((c) => c.suit === trump && isMaster(c));
+      if (topTrump) return topTrump;
+    }
+    const winner = legal.find((c) => c.suit !== trump && isMaster(c));
+    if (winner) return winner;
+    const sideSuits = legal.filter((c) => c.suit !== trump);
+    const pool = sideSuits.length > 0 ? sideSuits : legal;
+    const length = (suit) => pool.filter((c) => c.suit === suit).length;
+    const longest = pool.slice().sort((a, b) => length(b.suit) - length(a.suit))[0].suit;
+    return cheapest(pool.filter((c) => c.suit === longest));
+  }
+
+  const winnerPos = evaluateTrick(room.currentTrick, trump);
+  if (knownTeammates(room, player).has(winnerPos)) return cheapest(legal);
+  const winning = legal.filter(
+    (card) => evaluateTrick(room.currentTrick.concat({ player: player.pos, card }), trump) === player.pos,
+  );
+  if (winning.length > 0) return cheapest(winning);
+  return cheapest(legal);
+}
+
+module.exports = { chooseBotBid, chooseBotCallCard, chooseBotCard };
@@ -0,0 +1,80 @@
+/**
+ * Checks applied to room chat before a message is shared: a length
+ * limit, quick reactions that expand to fixed text, and a word filter
+ * that masks common profanity.
+ *
+ * The filter matches whole words case-insensitively, so innocent words
+ * that merely contain a blocked one ("class", "scunthorpe") pass.
+ */
+
+const MAX_CHAT_LENGTH = 200;
+
+// Reactions a player can send with one click
+const QUICK_REACTIONS = {
+  nice: 'Nice!',
+  sorry: 'Sorry partner',
+  gg: 'gg',
+  thanks: 'Thanks!',
+  wp: 'Well played',
+};
+
+const BLOCKED_WORDS = [
+  'arse',
+  'arsehole',
+  'ass',
+  'asshole',
+  'bastard',
+  'bitch',
+  'bollocks',
+  'bullshit',
+  'cock',
+  'crap',
+  'cunt',
+  'damn',
+  'dick',
+  'fuck',
+  'fucker',
+  'fucking',
+  'motherfucker',
+  'piss',
+  'prick',
+  'pussy',
+  'shit',
+  'slut',
+  'twat',
+  'wanker',
+  'whore',
+];
+const BLOCKED_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})\\b`, 'gi');
+
+/**
+ * Replace blocked words with asterisks of the same length.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function maskProfanity(text) {
+  return text.replace(BLOCKED_PATTERN, (word) => '*'.repeat(word.length));
+}
+
+/**
+ * Turn a chat request into the text to share. A request names either a
+ * quick reaction or free text; free text is trimmed, collapsed to one
+ * line and must fit MAX_CHAT_LENGTH.
+ *
+ * @param {{text?:string, reaction?:string}} input
+ * @returns {{text?:string, reaction?:string, error?:string}}
+ */
+function prepareChatMessage({ text, reaction } = {}) {
+  if (reaction !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(QUICK_REACTIONS, reaction)) return { error: 'Unknown reaction.' };
+    return { text: QUICK_REACTIONS[reaction], reaction };
+  }
+  if (typeof text !== 'string') return { error: 'Message must be text.' };
+  const line = text.replace(/\s+/g, ' ').trim();
+  if (!line) return { error: 'Message is empty.' };
+  if (line.length > MAX_CHAT_LENGTH) return { error: `Messages are at most ${MAX_CHAT_LENGTH} characters.` };
+  return { text: maskProfanity(line) };
+}
+
+module.exports = { prepareChatMessage };
@@ -0,0 +1,47 @@
+/**
+ * A JSON document kept in a file under the data directory, used for
+ * state that must outlive the process (accounts, ratings).
+ *
+ * The file is read once when opened and the caller works on the
+ * in-memory copy. Saves are queued and replace the file atomically
+ * (write to a temporary file, then rename), so a crash mid-write never
+ * leaves a half-written file behind. The file belongs to one process;
+ * when several replicas run, the data is kept in Redis instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {string} dataDir
+ * @param {string} name file name within dataDir
+ * @param {object} initial document used when the file does not exist
+ * @returns {{data:object, save:function():Promise<void>}}
+ */
+function openDataFile(dataDir, name, initial) {
+  const file = path.join(dataDir, name);
+  let data = initial;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  let writing = Promise.resolve();
+
+  // Queue a write of the current data; each write sees the latest state
+  function save() {
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(dataDir, { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(data));
+        await fs.promises.rename(tmp, file);
+      })
+      .catch((err) => console.error(`Failed to save ${name}`, err));
+    return writing;
+  }
+
+  return { data, save };
+}
+
+module.exports = { openDataFile };
@@ -0,0 +1,1136 @@
+/**
+ * The rules of Singaporean Bridge as a state machine, free of sockets,
+ * timers and storage. A room moves through the stages of a deal:
+ *
+ *   waiting → (wash) → bidding → callCard → playing → waiting | finished
+ *
+ * applyAction() takes a room's state and one action and returns the
+ * new state with the events the action produced, or the unchanged
+ * state and an error when the rules refuse the action. The state
+ * passed in is never modified. Each event names who should hear it:
+ * 'room' for everyone, 'spectators' for spectators only, or a seat
+ * number for one player. server.js delivers the events and looks after
+ * turn deadlines, bots and persistence.
+ *
+ * Actions:
+ *   { type: 'deal' }                   shuffle and deal a new hand
+ *   { type: 'wash', seat }             show a weak hand and redeal
+ *   { type: 'declineWash', seat }      keep a weak hand
+ *   { type: 'endWash' }                the wash window has run out
+ *   { type: 'bid', seat, bid }         bid {level, suit}, or pass with null
+ *   { type: 'callCard', seat, card }   declarer calls the partner card {rank, suit}
+ *   { type: 'play', seat, card }       play {rank, suit} from the hand
+ *   { type: 'claim', seat, tricks }    claim that many of the remaining tricks
+ *   { type: 'answerClaim', seat, accept }  accept or reject a pending claim
+ *   { type: 'rematch' }                clear a finished match for a new one
+ *   { type: 'abandonDeal' }            drop any deal in progress
+ */
+
+const crypto = require('crypto');
+
+// Suit ranking used for bidding comparison: Clubs < Diamonds < Hearts < Spades < No Trump
+const SUIT_RANKING = {
+  C: 0,
+  D: 1,
+  H: 2,
+  S: 3,
+  N: 4, // No Trump ranks above Spades
+};
+
+// Points per contracted trick: minors score less than majors and No Trump
+const TRICK_POINTS = { C: 20, D: 20, H: 30, S: 30, N: 30 };
+// Extra points for the first trick of a No Trump contract
+const NO_TRUMP_BONUS = 10;
+const OVERTRICK_POINTS = 10;
+const UNDERTRICK_POINTS = 50;
+
+// How long players have to ask for a wash after the cards are dealt
+const WASH_WINDOW_MS = 10000;
+// Most high-card points a hand may hold and still be washed
+const WASH_MAX_POINTS = 4;
+// Bots are pickier: they wash only the weakest hands without a long suit
+const BOT_WASH_MAX_POINTS = 2;
+const BOT_WASH_MAX_SUIT_LENGTH = 5;
+// Completed deal records kept per room for replays; older ones are dropped
+const MAX_DEAL_RECORDS = 50;
+
+/**
+ * Build a new deck of 52 playing cards. Each card is an object with
+ * a suit and a rank. Ranks are numbers from 2 to 14 where 14
+ * represents Ace.
+ *
+ * @returns {Array<{suit:string,rank:number}>}
+ */
+function buildDeck() {
+  const suits = ['C', 'D', 'H', 'S'];
+  const deck = [];
+  for (const suit of suits) {
+    for (let rank = 2; rank <= 14; rank++) {
+      deck.push({ suit, rank });
+    }
+  }
+  return deck;
+}
+
+/**
+ * Create a fresh random shuffle seed.
+ *
+ * @returns {string} 64 hex characters
+ */
+function createSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Commitment to a seed, published before the deal so the seed revealed
+ * afterwards can be checked against it.
+ *
+ * @param {string} seed
+ * @returns {string} SHA-256 of the seed, in hex
+ */
+function seedCommitment(seed) {
+  return crypto.createHash('sha256').update(seed, 'utf8').digest('hex');
+}
+
+/**
+ * Deterministic random integer generator driven by a seed. Bytes come
+ * from HMAC-SHA256(seed, 'bridge-shuffle:<n>') for n = 0, 1, 2, ...,
+ * read four at a time as big-endian unsigned integers; values that
+ * would bias the result are rejected. public/client.js implements the
+ * same generator to verify deals, so the two must stay in step.
+ *
+ * @param {string} seed
+ * @returns {(max:number) => number} returns an integer in [0, max)
+ */
+function createSeededRandom(seed) {
+  let block = Buffer.alloc(0);
+  let counter = 0;
+  let offset = 0;
+  const nextUint32 = () => {
+    if (offset + 4 > block.length) {
+      block = crypto.createHmac('sha256', seed).update(`bridge-shuffle:${counter++}`).digest();
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+  return (max) => {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value;
+    do {
+      value = nextUint32();
+    } while (value >= limit);
+    return value % max;
+  };
+}
+
+/**
+ * Shuffle an array in place using the Fisher–Yates algorithm, driven
+ * by a seeded generator so the same seed always gives the same order.
+ *
+ * @param {Array<any>} array
+ * @param {string} seed
+ * @returns {Array<any>} the same array, shuffled
+ */
+function shuffle(array, seed) {
+  const randomInt = createSeededRandom(seed);
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * Format a card into a short string such as '7D' or 'AH'. Helpful
+ * when sending card data to clients.
+ *
+ * @param {{suit:string,rank:number}} card
+ * @returns {string}
+ */
+function formatCard(card) {
+  const rankMap = { 11: 'J', 12: 'Q', 13: 'K', 14: 'A' };
+  const rankStr = card.rank <= 10 ? String(card.rank) : rankMap[card.rank];
+  return rankStr + card.suit;
+}
+
+/**
+ * Turn a short card string such as '7D' or 'AH' back into a card.
+ *
+ * @param {string} text
+ * @returns {{suit:string,rank:number}}
+ */
+function parseCard(text) {
+  const rankMap = { J: 11, Q: 12, K: 13, A: 14 };
+  const rankStr = text.slice(0, -1);
+  return { suit: text.slice(-1), rank: rankMap[rankStr] || Number(rankStr) };
+}
+
+/**
+ * High-card points of a hand: A=4, K=3, Q=2, J=1.
+ *
+ * @param {Array<{suit:string,rank:number}>} hand
+ * @returns {number}
+ */
+function highCardPoints(hand) {
+  return hand.reduce((sum, c) => sum + Math.max(0, c.rank - 10), 0);
+}
+
+/**
+ * Determine if bidA outranks bidB. A bid is an object with
+ * properties level (1–7) and suit (C, D, H, S). Higher level wins;
+ * if equal level then higher suit wins according to SUIT_RANKING.
+ * If bidB is null (no current highest bid) then bidA always wins.
+ *
+ * @param {{level:number,suit:string}} bidA
+ * @param {{level:number,suit:string}|null} bidB
+ * @returns {boolean}
+ */
+function isHigherBid(bidA, bidB) {
+  if (!bidB) return true;
+  if (bidA.level > bidB.level) return true;
+  if (bidA.level === bidB.level && SUIT_RANKING[bidA.suit] > SUIT_RANKING[bidB.suit]) {
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Evaluate a completed trick and determine the winner. A trick is an
+ * array of objects {player: number, card: {suit, rank}} in order of
+ * play. The lead suit is the suit of the first card. If a trump
+ * suit exists (the suit of the winning bid), any trump outranks
+ * non‑trumps. Within the same suit, higher rank wins.
+ *
+ * @param {Array<{player:number,card:{suit:string,rank:number}}>} trick
+ * @param {string|null} trumpSuit
+ * @returns {number} the index of the player who won the trick
+ */
+function evaluateTrick(trick, trumpSuit) {
+  const leadSuit = trick[0].card.suit;
+  let winning = trick[0];
+  for (let i = 1; i < trick.length; i++) {
+    const current = trick[i];
+    const card = current.card;
+    const winCard = winning.card;
+    // If current card is trump and winning is not trump
+    if (trumpSuit && card.suit === trumpSuit && winCard.suit !== trumpSuit) {
+      winning = current;
+    } else if (trumpSuit && card.suit === trumpSuit && winCard.suit === trumpSuit) {
+      if (card.rank > winCard.rank) winning = current;
+    } else if ((!trumpSuit || winCard.suit === leadSuit) && card.suit === winCard.suit && card.rank > winCard.rank) {
+      winning = current;
+    }
+  }
+  return winning.player;
+}
+
+/**
+ * Score a finished deal. A made contract is worth its level times the
+ * per-trick value of the suit, plus a bonus per overtrick; a declarer
+ * who played without a partner has the contract value doubled. The
+ * declarer and partner each gain that score and the defenders gain
+ * nothing. A failed contract costs the declarer and partner a penalty
+ * per undertrick, scaled by the bid level, which each defender gains.
+ *
+ * @param {{level:number,suit:string}} bid
+ * @param {number} declarerTeamTricks
+ * @param {boolean} solo whether the declarer had no partner
+ * @returns {{contractMade:boolean, overtricks:number, undertricks:number, declarerPoints:number, defenderPoints:number}}
+ */
+function scoreDeal(bid, declarerTeamTricks, solo) {
+  const tricksNeeded = bid.level + 6;
+  const contractMade = declarerTeamTricks >= tricksNeeded;
+  if (contractMade) {
+    let contractPoints = bid.level * TRICK_POINTS[bid.suit] + (bid.suit === 'N' ? NO_TRUMP_BONUS : 0);
+    if (solo) contractPoints *= 2;
+    const overtricks = declarerTeamTricks - tricksNeeded;
+    return {
+      contractMade,
+      overtricks,
+      undertricks: 0,
+      declarerPoints: contractPoints + overtricks * OVERTRICK_POINTS,
+      defenderPoints: 0,
+    };
+  }
+  const undertricks = tricksNeeded - declarerTeamTricks;
+  const penalty = undertricks * UNDERTRICK_POINTS * bid.level;
+  return {
+    contractMade,
+    overtricks: 0,
+    undertricks,
+    declarerPoints: -penalty,
+    defenderPoints: penalty,
+  };
+}
+
+/**
+ * Whether a player's hand is weak enough to be washed.
+ *
+ * @param {object} player
+ * @returns {boolean}
+ */
+function canWash(player) {
+  return highCardPoints(player.hand) <= WASH_MAX_POINTS;
+}
+
+/**
+ * Whether a bot would wash its hand. Washing every hand it may would
+ * redeal bot-heavy tables over and over, so a bot keeps a hand with a
+ * couple of points or a long suit to play.
+ *
+ * @param {object} player
+ * @returns {boolean}
+ */
+function botWantsWash(player) {
+  if (highCardPoints(player.hand) > BOT_WASH_MAX_POINTS) return false;
+  return ['C', 'D', 'H', 'S'].every(
+    (suit) => player.hand.filter((c) => c.suit === suit).length <= BOT_WASH_MAX_SUIT_LENGTH,
+  );
+}
+
+/**
+ * Helper to compute indices of legal cards a player can play. If there
+ * is a lead suit, the player must follow suit if possible. If no
+ * follow suit, any card is legal. When leading, and if the room plays
+ * with trump breaking, trump may not be led until it has been broken
+ * unless the leader holds nothing but trumps.
+ *
+ * @param {object} state
+ * @param {object} player
+ * @returns {number[]}
+ */
+function legalCardIndices(state, player) {
+  if (!state.currentTrick || state.currentTrick.length === 0) {
+    if (state.trumpSuit && state.rules.trumpBreaking && !state.trumpBroken) {
+      const nonTrump = player.hand
+        .map((c, i) => ({ c, i }))
+        .filter((x) => x.c.suit !== state.trumpSuit)
+        .map((x) => x.i);
+      if (nonTrump.length > 0) return nonTrump;
+    }
+    return player.hand.map((_, i) => i);
+  }
+  const leadSuit = state.currentTrick[0].card.suit;
+  const inSuit = player.hand
+    .map((c, i) => ({ c, i }))
+    .filter((x) => x.c.suit === leadSuit)
+    .map((x) => x.i);
+  if (inSuit.length > 0) return inSuit;
+  return player.hand.map((_, i) => i);
+}
+
+/**
+ * Whether a claim needs no thought to accept: conceding every
+ * remaining trick, or claiming with the lead in hand and nothing but
+ * winners. A card is a winner when nobody else holds a higher card of
+ * its suit; in a trump contract the claimant must also hold at least
+ * as many trumps as anyone else, so drawing trumps first leaves nobody
+ * able to ruff.
+ *
+ * @param {object} state
+ * @param {number} seat claimant
+ * @param {number} tricks
+ * @returns {boolean}
+ */
+function claimIsTrivial(state, seat, tricks) {
+  if (tricks === 0) return true;
+  if (state.currentTrick.length > 0 || state.playingTurn !== seat) return false;
+  const claimant = state.players[seat];
+  const others = state.players.filter((p) => p !== claimant);
+  const winner = (card) => !others.some((p) => p.hand.some((c) => c.suit === card.suit && c.rank > card.rank));
+  if (!claimant.hand.every(winner)) return false;
+  if (!state.trumpSuit) return true;
+  const trumps = (player) => player.hand.filter((c) => c.suit === state.trumpSuit).length;
+  return others.every((p) => trumps(p) <= trumps(claimant));
+}
+
+/**
+ * What everyone is shown of a pending claim, including the claimant's
+ * hand.
+ *
+ * @param {object} state
+ * @returns {{claimant:number, tricks:number, remaining:number, trivial:boolean, accepted:number[], hand:string[]}|null}
+ */
+function claimView(state) {
+  if (!state.claim) return null;
+  const { claimant, tricks, trivial, accepted } = state.claim;
+  const hand = state.players[claimant].hand;
+  return { claimant, tricks, remaining: hand.length, trivial, accepted, hand: hand.map((c) => formatCard(c)) };
+}
+
+/**
+ * Public view of the seated players, safe to send to everyone.
+ *
+ * @param {object} state
+ * @returns {Array<object>}
+ */
+function publicPlayers(state) {
+  return state.players.map((p) => ({
+    id: p.id,
+    name: p.name,
+    pos: p.pos,
+    ready: p.ready,
+    sets: p.sets || 0,
+    score: p.score || 0,
+    connected: p.connected !== false,
+    isBot: !!p.isBot,
+  }));
+}
+
+/**
+ * Players ordered by points, then sets, for the final standings.
+ *
+ * @param {object} state
+ * @returns {Array<{pos:number,name:string,score:number,sets:number}>}
+ */
+function matchStandings(state) {
+  return state.players
+    .map((p) => ({ pos: p.pos, name: p.name, score: p.score || 0, sets: p.sets || 0 }))
+    .sort((a, b) => b.score - a.score || b.sets - a.sets);
+}
+
+// --- Stage transitions ---
+//
+// Each step below updates ctx.state, the copy being built by
+// applyAction, and adds the events it produces to ctx.events.
+
+function emit(ctx, to, name, data) {
+  ctx.events.push(data === undefined ? { to, name } : { to, name, data });
+}
+
+/**
+ * Shuffle and deal a new hand. Cards are dealt evenly among the four
+ * players. When the room allows washes, weak hands get a chance to ask
+ * for a redeal first; otherwise bidding starts at once.
+ *
+ * @param {object} ctx
+ */
+function startDeal(ctx) {
+  const { state } = ctx;
+  state.highestBid = null;
+  state.highestBidder = null;
+  state.passes = 0;
+  state.trumpSuit = null;
+  state.callCard = null;
+  state.declarerTeamTricks = 0;
+  state.defenderTeamTricks = 0;
+  state.currentTrick = [];
+  state.trumpBroken = false;
+  state.claim = null;
+  state.auction = [];
+  state.playedTricks = [];
+  // Reset partner reveal state for the new deal
+  state.partnerRevealed = false;
+  state.partnerPos = null;
+  // Reset player state
+  state.players.forEach((player) => {
+    player.hand = [];
+    player.tricks = 0;
+    player.isDeclarer = false;
+    player.isPartner = false;
+  });
+  // Build and shuffle deck from a seed committed to now and revealed
+  // when the deal is over. A host-supplied seed is used once and flagged.
+  const hostSeed = !!state.pendingSeed;
+  state.seed = state.pendingSeed || ctx.createSeed();
+  state.pendingSeed = null;
+  state.commitment = seedCommitment(state.seed);
+  const deck = shuffle(buildDeck(), state.seed);
+  // Deal 13 cards to each player
+  for (let i = 0; i < 13; i++) {
+    for (let p = 0; p < state.players.length; p++) {
+      const card = deck.pop();
+      state.players[p].hand.push(card);
+    }
+  }
+  // Sort each player's hand for easier UI (by suit then rank)
+  state.players.forEach((player) => {
+    player.hand.sort((a, b) => {
+      if (a.suit === b.suit) return a.rank - b.rank;
+      return SUIT_RANKING[a.suit] - SUIT_RANKING[b.suit];
+    });
+  });
+  // Keep the whole deal so spectators can be shown it once play is over
+  state.dealHands = state.players.map((p) => p.hand.map((c) => formatCard(c)));
+  // Start the record of this deal; it is kept only if the deal is played out
+  state.dealRecord = {
+    dealer: state.dealer,
+    players: state.players.map((p) => p.name),
+    hands: state.dealHands,
+    seed: state.seed,
+    hostSeed,
+    auction: [],
+    callCard: null,
+    tricks: [],
+  };
+  // Notify players of deal and send them their hands
+  emit(ctx, 'room', 'dealStarted', {
+    players: state.players.map((p) => ({ id: p.id, name: p.name, pos: p.pos })),
+    dealer: state.dealer,
+    commitment: state.commitment,
+    hostSeed,
+  });
+  state.players.forEach((player) => {
+    emit(ctx, player.pos, 'dealCards', {
+      hand: player.hand.map((c) => formatCard(c)),
+    });
+  });
+  if (state.rules.allowWash) {
+    openWashWindow(ctx);
+  } else {
+    beginBidding(ctx);
+  }
+}
+
+/**
+ * Start the auction for the current deal: bidding starts to the
+ * dealer's left.
+ *
+ * @param {object} ctx
+ */
+function beginBidding(ctx) {
+  const { state } = ctx;
+  state.stage = 'bidding';
+  state.washDeclined = [];
+  state.biddingTurn = (state.dealer + 1) % state.players.length;
+  emit(ctx, 'room', 'biddingTurn', { pos: state.biddingTurn, turnMs: state.turnMs });
+}
+
+/**
+ * Give players with weak hands a short window to ask for a redeal
+ * before bidding. An eligible bot decides at once (see botWantsWash);
+ * the window opens only if an eligible human is left to decide.
+ * Bidding starts when the window expires or every eligible player has
+ * declined.
+ *
+ * @param {object} ctx
+ */
+function openWashWindow(ctx) {
+  const { state } = ctx;
+  const eligible = state.players.filter(canWash);
+  const bot = eligible.find((p) => p.isBot && botWantsWash(p));
+  if (bot) {
+    washHand(ctx, bot);
+    return;
+  }
+  if (!eligible.some((p) => !p.isBot)) {
+    beginBidding(ctx);
+    return;
+  }
+  state.stage = 'wash';
+  // Bots that kept their hands have declined already
+  state.washDeclined = eligible.filter((p) => p.isBot).map((p) => p.pos);
+  state.players.forEach((player) => {
+    emit(ctx, player.pos, 'washWindow', {
+      ms: WASH_WINDOW_MS,
+      eligible: canWash(player) && !player.isBot,
+      points: highCardPoints(player.hand),
+    });
+  });
+}
+
+/**
+ * Show a washed hand to the table and redeal. The same dealer deals
+ * again: a wash does not pass the deal on.
+ *
+ * @param {object} ctx
+ * @param {object} player
+ */
+function washHand(ctx, player) {
+  const points = highCardPoints(player.hand);
+  emit(ctx, 'room', 'handWashed', {
+    player: player.pos,
+    hand: player.hand.map((c) => formatCard(c)),
+    points,
+  });
+  emit(ctx, 'room', 'message', {
+    message: `${player.name} washed a ${points}-point hand. Redealing...`,
+  });
+  revealSeed(ctx);
+  startDeal(ctx);
+}
+
+/**
+ * Publish the seed of the deal that just ended so anyone can check it
+ * against the commitment sent with dealStarted and recompute the deal.
+ *
+ * @param {object} ctx
+ */
+function revealSeed(ctx) {
+  const { state } = ctx;
+  if (!state.seed) return;
+  emit(ctx, 'room', 'seedRevealed', { seed: state.seed, commitment: state.commitment });
+  state.seed = null;
+}
+
+/**
+ * Redeal with the same players, the deal passing one seat to the
+ * left. Called when all players pass without a single bid.
+ *
+ * @param {object} ctx
+ */
+function redeal(ctx) {
+  const { state } = ctx;
+  revealSeed(ctx);
+  state.dealer = (state.dealer + 1) % state.players.length;
+  startDeal(ctx);
+}
+
+/**
+ * Finish the bidding phase. Determine the declarer and trump suit
+ * based on the highest bid. If there is no highest bid the game is
+ * redealt. Otherwise the game transitions to the call‑card phase
+ * where the declarer selects a card to call for their secret
+ * partner.
+ *
+ * @param {object} ctx
+ */
+function endBidding(ctx) {
+  const { state } = ctx;
+  if (!state.highestBid) {
+    emit(ctx, 'room', 'message', { message: 'No bids were made. Redealing...' });
+    redeal(ctx);
+    return;
+  }
+  const declarerIndex = state.highestBidder;
+  // Determine trump suit: No Trump ('N') means no trump (null)
+  const trumpSuit = state.highestBid.suit;
+  state.trumpSuit = trumpSuit === 'N' ? null : trumpSuit;
+  state.players.forEach((player) => {
+    player.isDeclarer = player.pos === declarerIndex;
+  });
+  state.stage = 'callCard';
+  emit(ctx, 'room', 'biddingComplete', {
+    highestBid: state.highestBid,
+    declarer: declarerIndex,
+    trumpSuit,
+    auction: state.auction,
+  });
+  // Prompt declarer to select a partner card, telling them whether a
+  // card from their own hand may be called under this room's rules
+  emit(ctx, declarerIndex, 'yourTurnToCall', { allowSelfCall: state.rules.allowSelfCall });
+  state.players.forEach((player) => {
+    if (player.pos !== declarerIndex) emit(ctx, player.pos, 'waitingForCall');
+  });
+}
+
+/**
+ * Determine which player holds the called card. If the declarer
+ * happens to hold the called card then there is no partner (solo).
+ * Set the partner flag on the appropriate player and inform them
+ * privately. After assigning partner, begin the trick‑taking phase.
+ *
+ * @param {object} ctx
+ * @param {object} declarer
+ * @param {{rank:number,suit:string}} callCard
+ */
+function assignPartnerAndStartPlay(ctx, declarer, callCard) {
+  const { state } = ctx;
+  state.callCard = callCard;
+  state.dealRecord.callCard = formatCard(callCard);
+  // The partner is revealed only when the called card is actually
+  // played. See playCard.
+  state.partnerRevealed = false;
+  state.partnerPos = null;
+  const partner = state.players.find(
+    (p) => p !== declarer && p.hand.some((card) => card.suit === callCard.suit && card.rank === callCard.rank),
+  );
+  if (partner) {
+    partner.isPartner = true;
+    emit(ctx, partner.pos, 'youArePartner');
+  }
+  state.stage = 'playing';
+  // Determine who leads: player to declarer's left, or in No Trump the
+  // declarer if the house rules say so
+  if (!state.trumpSuit && state.rules.noTrumpLead === 'declarer') {
+    state.playingTurn = declarer.pos;
+  } else {
+    state.playingTurn = (declarer.pos + 1) % state.players.length;
+  }
+  // Announce the call card and start of play (without revealing partner)
+  emit(ctx, 'room', 'callCardSelected', { rank: callCard.rank, suit: callCard.suit });
+  emit(ctx, 'room', 'playTurn', { pos: state.playingTurn, turnMs: state.turnMs });
+}
+
+/**
+ * Record a bid or a pass and move the auction on: four passes without
+ * a bid redeal, three passes after a bid end the auction.
+ *
+ * @param {object} ctx
+ * @param {object} player
+ * @param {{level:number,suit:string}|null} bid
+ * @returns {string|undefined} error when the bid is not allowed
+ */
+function placeBid(ctx, player, bid) {
+  const { state } = ctx;
+  if (bid === null) {
+    state.passes++;
+    state.auction.push({ player: player.pos, bid: null });
+    state.dealRecord.auction.push({ player: player.pos, bid: null });
+    emit(ctx, 'room', 'bidUpdate', { bidder: player.pos, bid: null, passes: state.passes });
+    // If nobody has bid and all four pass: redeal
+    if (!state.highestBid && state.passes >= 4) {
+      emit(ctx, 'room', 'message', { message: 'All players passed. Redealing...' });
+      redeal(ctx);
+      return;
+    }
+    // If there is a bid and three consecutive passes, end bidding
+    if (state.highestBid && state.passes >= 3) {
+      endBidding(ctx);
+      return;
+    }
+  } else {
+    if (!Number.isInteger(bid.level) || bid.level < 1 || bid.level > 7 || !SUIT_RANKING.hasOwnProperty(bid.suit)) {
+      return 'Invalid bid.';
+    }
+    if (bid.level > state.rules.maxBidLevel) {
+      return `Bids above ${state.rules.maxBidLevel} are not allowed in this room.`;
+    }
+    if (!isHigherBid(bid, state.highestBid)) return 'Bid must be higher than the current bid.';
+    state.highestBid = { level: bid.level, suit: bid.suit };
+    state.highestBidder = player.pos;
+    state.passes = 0;
+    state.auction.push({ player: player.pos, bid: state.highestBid });
+    state.dealRecord.auction.push({ player: player.pos, bid: state.highestBid });
+    emit(ctx, 'room', 'bidUpdate', { bidder: player.pos, bid: state.highestBid, passes: state.passes });
+  }
+  state.biddingTurn = (state.biddingTurn + 1) % state.players.length;
+  emit(ctx, 'room', 'biddingTurn', { pos: state.biddingTurn, turnMs: state.turnMs });
+}
+
+/**
+ * Play a card from a player's hand: check it follows suit and respects
+ * trump breaking, reveal the partner if it is the called card, and
+ * settle the trick once all four cards are down.
+ *
+ * @param {object} ctx
+ * @param {object} player
+ * @param {{suit:string,rank:number}} cardObj
+ * @returns {string|undefined} error when the card may not be played
+ */
+function playCard(ctx, player, cardObj) {
+  const { state } = ctx;
+  const idx = player.hand.findIndex((c) => c.suit === cardObj.suit && c.rank === cardObj.rank);
+  if (idx === -1) return 'Card not found in hand.';
+  const playedCard = player.hand[idx];
+  if (!legalCardIndices(state, player).includes(idx)) {
+    if (state.currentTrick.length > 0) return `You must follow suit ${state.currentTrick[0].card.suit}.`;
+    return 'Trump has not been broken yet.';
+  }
+  player.hand.splice(idx, 1);
+  state.currentTrick.push({ player: player.pos, card: playedCard });
+  // The first trump played breaks trump, whether discarded on another
+  // suit or led from a hand holding only trumps
+  if (state.trumpSuit && !state.trumpBroken && playedCard.suit === state.trumpSuit) {
+    state.trumpBroken = true;
+    emit(ctx, 'room', 'trumpBroken', { player: player.pos });
+  }
+  // The partner is revealed when someone other than the declarer plays
+  // the called card; a declarer playing it was playing alone
+  if (
+    state.callCard &&
+    !state.partnerRevealed &&
+    playedCard.suit === state.callCard.suit &&
+    playedCard.rank === state.callCard.rank &&
+    player.pos !== state.highestBidder
+  ) {
+    state.partnerRevealed = true;
+    state.partnerPos = player.pos;
+    player.isPartner = true;
+    emit(ctx, 'room', 'partnerRevealed', { partner: player.pos });
+  }
+  emit(ctx, 'room', 'cardPlayed', {
+    player: player.pos,
+    card: formatCard(playedCard),
+    remaining: player.hand.length,
+  });
+  if (state.currentTrick.length < state.players.length) {
+    state.playingTurn = (state.playingTurn + 1) % state.players.length;
+    emit(ctx, 'room', 'playTurn', { pos: state.playingTurn, turnMs: state.turnMs });
+    return;
+  }
+  const winnerPos = evaluateTrick(state.currentTrick, state.trumpSuit);
+  // Award trick to team and increment individual trick count
+  const partner = state.players.find((p) => p.isPartner);
+  const declarerTeam = new Set([state.highestBidder]);
+  if (partner) declarerTeam.add(partner.pos);
+  if (declarerTeam.has(winnerPos)) state.declarerTeamTricks++;
+  else state.defenderTeamTricks++;
+  const winnerPlayer = state.players[winnerPos];
+  winnerPlayer.tricks = (winnerPlayer.tricks || 0) + 1;
+  const trick = state.currentTrick.map((entry) => ({ player: entry.player, card: formatCard(entry.card) }));
+  // Include per-player trick counts so clients can show "won hands"
+  emit(ctx, 'room', 'trickComplete', {
+    trick,
+    winner: winnerPos,
+    declarerTeamTricks: state.declarerTeamTricks,
+    defenderTeamTricks: state.defenderTeamTricks,
+    playersTricks: state.players.map((p) => p.tricks || 0),
+  });
+  state.playedTricks.push({ cards: trick, winner: winnerPos });
+  state.dealRecord.tricks.push({ cards: trick, winner: winnerPos });
+  state.currentTrick = [];
+  state.playingTurn = winnerPos;
+  if (state.players.some((p) => p.hand.length > 0)) {
+    emit(ctx, 'room', 'playTurn', { pos: state.playingTurn, turnMs: state.turnMs });
+    return;
+  }
+  finishRound(ctx);
+}
+
+/**
+ * Award the tricks of an accepted claim as if they had been played
+ * out, then finish the round. The claimant takes the tricks claimed;
+ * the rest go to the first player on the other side to the
+ * claimant's left.
+ *
+ * @param {object} ctx
+ */
+function settleClaim(ctx) {
+  const { state } = ctx;
+  const { claimant, tricks } = state.claim;
+  const remaining = state.players[claimant].hand.length;
+  const partner = state.players.find((p) => p.isPartner);
+  const declaring = (pos) => pos === state.highestBidder || (!!partner && pos === partner.pos);
+  const conceder = [1, 2, 3]
+    .map((i) => (claimant + i) % state.players.length)
+    .find((pos) => declaring(pos) !== declaring(claimant));
+  if (declaring(claimant)) {
+    state.declarerTeamTricks += tricks;
+    state.defenderTeamTricks += remaining - tricks;
+  } else {
+    state.defenderTeamTricks += tricks;
+    state.declarerTeamTricks += remaining - tricks;
+  }
+  state.players[claimant].tricks += tricks;
+  state.players[conceder].tricks += remaining - tricks;
+  state.dealRecord.claim = { player: claimant, tricks };
+  state.players.forEach((p) => {
+    p.hand = [];
+  });
+  state.claim = null;
+  emit(ctx, 'room', 'claimSettled', {
+    claimant,
+    tricks,
+    declarerTeamTricks: state.declarerTeamTricks,
+    defenderTeamTricks: state.defenderTeamTricks,
+    playersTricks: state.players.map((p) => p.tricks || 0),
+  });
+  finishRound(ctx);
+}
+
+/**
+ * Score a deal whose last trick has been played, file its record and
+ * return the room to the waiting stage, or end the match if the
+ * room's match format says it is over.
+ *
+ * @param {object} ctx
+ */
+function finishRound(ctx) {
+  const { state } = ctx;
+  // The partner may be missing if declarer held the call card, which
+  // plays as a solo
+  const declarerIndex = state.highestBidder;
+  const partnerIndex = state.players.findIndex((p) => p.isPartner);
+  const solo = partnerIndex < 0;
+  const result = scoreDeal(state.highestBid, state.declarerTeamTricks, solo);
+  const contractMade = result.contractMade;
+  const onDeclarerSide = (pos) => pos === declarerIndex || pos === partnerIndex;
+  const points = state.players.map((plr) =>
+    onDeclarerSide(plr.pos) ? result.declarerPoints : result.defenderPoints,
+  );
+  state.players.forEach((plr) => {
+    plr.score = (plr.score || 0) + points[plr.pos];
+    // The winning side each take a set
+    if (onDeclarerSide(plr.pos) === contractMade) plr.sets = (plr.sets || 0) + 1;
+  });
+  state.history.push({
+    declarer: declarerIndex,
+    partner: partnerIndex,
+    declarerTeamTricks: state.declarerTeamTricks,
+    defenderTeamTricks: state.defenderTeamTricks,
+    contractMade,
+    highestBid: state.highestBid,
+    solo,
+    overtricks: result.overtricks,
+    undertricks: result.undertricks,
+    points,
+  });
+  emit(ctx, 'room', 'roundFinished', {
+    declarer: declarerIndex,
+    partner: partnerIndex,
+    declarerTeamTricks: state.declarerTeamTricks,
+    defenderTeamTricks: state.defenderTeamTricks,
+    contractMade,
+    highestBid: state.highestBid,
+    solo,
+    points,
+    playersSets: state.players.map((p) => p.sets || 0),
+    playersScores: state.players.map((p) => p.score || 0),
+    history: state.history,
+  });
+  if (state.rules.spectatorsSeeHands) emit(ctx, 'spectators', 'spectatorHands', { hands: state.dealHands });
+  revealSeed(ctx);
+  recordDeal(ctx, {
+    declarer: declarerIndex,
+    partner: partnerIndex,
+    contract: state.highestBid,
+    declarerTeamTricks: state.declarerTeamTricks,
+    defenderTeamTricks: state.defenderTeamTricks,
+    contractMade,
+    points,
+  });
+  // The next deal passes one seat to the left
+  state.dealer = (state.dealer + 1) % state.players.length;
+  state.stage = 'waiting';
+  clearDeal(state);
+  // Players ready up again for the next deal (bots stay ready, as does
+  // everyone in continuous play)
+  state.players.forEach((plr) => {
+    plr.ready = state.rules.autoDeal || !!plr.isBot;
+  });
+  emit(ctx, 'room', 'playerList', { players: publicPlayers(state), hostId: state.hostId });
+  finishMatchIfOver(ctx);
+}
+
+/**
+ * Reset the bidding and trick state of a deal that is over, along with
+ * each player's hand and role in it.
+ *
+ * @param {object} state
+ */
+function clearDeal(state) {
+  state.highestBid = null;
+  state.highestBidder = null;
+  state.passes = 0;
+  state.trumpSuit = null;
+  state.callCard = null;
+  state.declarerTeamTricks = 0;
+  state.defenderTeamTricks = 0;
+  state.currentTrick = [];
+  state.biddingTurn = 0;
+  state.playingTurn = 0;
+  state.partnerRevealed = false;
+  state.partnerPos = null;
+  state.claim = null;
+  state.auction = [];
+  state.playedTricks = [];
+  state.players.forEach((player) => {
+    player.hand = [];
+    player.tricks = 0;
+    player.isDeclarer = false;
+    player.isPartner = false;
+  });
+}
+
+/**
+ * File the record of a deal that has just been played out, numbering
+ * it and keeping only the most recent MAX_DEAL_RECORDS.
+ *
+ * @param {object} ctx
+ * @param {object} result declarer, partner, contract, tricks and points
+ */
+function recordDeal(ctx, result) {
+  const { state } = ctx;
+  state.dealCount = (state.dealCount || 0) + 1;
+  state.deals.push({ number: state.dealCount, finishedAt: ctx.now, ...state.dealRecord, result });
+  if (state.deals.length > MAX_DEAL_RECORDS) state.deals.shift();
+  state.dealRecord = null;
+}
+
+/**
+ * End the match after a round if the room's match format says so:
+ * once the agreed number of rounds has been played, or once anyone
+ * has reached the target score. Everyone on the top score wins. The
+ * room stays 'finished' until the host starts a rematch.
+ *
+ * @param {object} ctx
+ */
+function finishMatchIfOver(ctx) {
+  const { state } = ctx;
+  const { matchFormat, matchTarget } = state.rules;
+  if (matchFormat === 'open') return;
+  if (matchFormat === 'rounds' && state.history.length < matchTarget) return;
+  if (matchFormat === 'points' && !state.players.some((p) => (p.score || 0) >= matchTarget)) return;
+  const standings = matchStandings(state);
+  const winners = standings.filter((s) => s.score === standings[0].score).map((s) => s.pos);
+  state.stage = 'finished';
+  state.matchResult = { standings, winners, rounds: state.history.length };
+  emit(ctx, 'room', 'matchFinished', state.matchResult);
+  const names = winners.map((pos) => state.players[pos].name).join(' and ');
+  emit(ctx, 'room', 'message', { message: `Match over! ${names} won.` });
+}
+
+// --- Actions ---
+
+const ACTIONS = {
+  deal(ctx) {
+    const { state } = ctx;
+    if (state.stage !== 'waiting') return 'A deal can only start between deals.';
+    if (state.players.length !== 4) return 'Need 4 players to start.';
+    startDeal(ctx);
+  },
+
+  wash(ctx, { seat }) {
+    const { state } = ctx;
+    if (state.stage !== 'wash') return 'Hands can only be washed before bidding.';
+    const player = state.players[seat];
+    // Check the points against the hand actually dealt, not the client's claim
+    if (!canWash(player)) {
+      return `Your hand has ${highCardPoints(player.hand)} points; only ${WASH_MAX_POINTS} or fewer may be washed.`;
+    }
+    washHand(ctx, player);
+  },
+
+  declineWash(ctx, { seat }) {
+    const { state } = ctx;
+    if (state.stage !== 'wash') return 'Hands can only be washed before bidding.';
+    if (state.washDeclined.includes(seat)) return;
+    state.washDeclined.push(seat);
+    const undecided = state.players.filter((p) => canWash(p) && !state.washDeclined.includes(p.pos));
+    if (undecided.length === 0) beginBidding(ctx);
+  },
+
+  endWash(ctx) {
+    if (ctx.state.stage !== 'wash') return 'Hands can only be washed before bidding.';
+    beginBidding(ctx);
+  },
+
+  bid(ctx, { seat, bid }) {
+    const { state } = ctx;
+    if (state.stage !== 'bidding') return 'There is no auction in progress.';
+    if (seat !== state.biddingTurn) return 'It is not your turn to bid.';
+    return placeBid(ctx, state.players[seat], bid);
+  },
+
+  callCard(ctx, { seat, card }) {
+    const { state } = ctx;
+    if (state.stage !== 'callCard') return 'No partner card is being called.';
+    if (seat !== state.highestBidder) return 'Only the declarer can call a card.';
+    if (!Number.isInteger(card.rank) || card.rank < 2 || card.rank > 14 || !['C', 'D', 'H', 'S'].includes(card.suit)) {
+      return 'Invalid call card.';
+    }
+    const declarer = state.players[seat];
+    if (!state.rules.allowSelfCall && declarer.hand.some((c) => c.suit === card.suit && c.rank === card.rank)) {
+      return 'You may not call a card in your own hand.';
+    }
+    assignPartnerAndStartPlay(ctx, declarer, { rank: card.rank, suit: card.suit });
+  },
+
+  play(ctx, { seat, card }) {
+    const { state } = ctx;
+    if (state.stage !== 'playing') return 'No trick is being played.';
+    if (state.claim) return 'A claim is waiting for an answer.';
+    if (seat !== state.playingTurn) return 'It is not your turn to play.';
+    return playCard(ctx, state.players[seat], card);
+  },
+
+  // Show the claimant's hand and wait for everyone else to answer;
+  // play stops meanwhile
+  claim(ctx, { seat, tricks }) {
+    const { state } = ctx;
+    if (state.stage !== 'playing') return 'No trick is being played.';
+    if (state.claim) return 'A claim is already waiting for an answer.';
+    if (state.currentTrick.length > 0) return 'Claims can only be made between tricks.';
+    const remaining = state.players[seat].hand.length;
+    if (!Number.isInteger(tricks) || tricks < 0 || tricks > remaining) {
+      return `You can claim between 0 and ${remaining} tricks.`;
+    }
+    state.claim = { claimant: seat, tricks, trivial: claimIsTrivial(state, seat, tricks), accepted: [] };
+    emit(ctx, 'room', 'claimMade', claimView(state));
+  },
+
+  // One rejection cancels the claim and play resumes; once every other
+  // player has accepted, the claim is settled
+  answerClaim(ctx, { seat, accept }) {
+    const { state } = ctx;
+    const { claim } = state;
+    if (!claim) return 'There is no claim to answer.';
+    if (seat === claim.claimant) return 'You cannot answer your own claim.';
+    if (claim.accepted.includes(seat)) return 'You have already accepted this claim.';
+    if (!accept) {
+      state.claim = null;
+      emit(ctx, 'room', 'claimRejected', { claimant: claim.claimant, by: seat });
+      emit(ctx, 'room', 'playTurn', { pos: state.playingTurn, turnMs: state.turnMs });
+      return;
+    }
+    claim.accepted.push(seat);
+    emit(ctx, 'room', 'claimAccepted', { claimant: claim.claimant, by: seat });
+    if (claim.accepted.length === state.players.length - 1) settleClaim(ctx);
+  },
+
+  // Start a fresh match with the same seats: points, sets and history
+  // are cleared and everyone except bots must ready up again
+  rematch(ctx) {
+    const { state } = ctx;
+    if (state.stage !== 'finished') return 'The match is not over yet.';
+    state.stage = 'waiting';
+    state.history = [];
+    state.matchResult = null;
+    state.players.forEach((p) => {
+      p.sets = 0;
+      p.score = 0;
+      p.ready = !!p.isBot;
+    });
+    emit(ctx, 'room', 'rematchStarted');
+    emit(ctx, 'room', 'message', { message: 'Rematch! Ready up to start the new match.' });
+    emit(ctx, 'room', 'playerList', { players: publicPlayers(state), hostId: state.hostId });
+  },
+
+  // Called when the table changes mid-deal. A finished match keeps its
+  // standings on screen.
+  abandonDeal(ctx) {
+    const { state } = ctx;
+    // An abandoned deal's seed no longer needs to be kept secret
+    revealSeed(ctx);
+    if (state.stage !== 'finished') state.stage = 'waiting';
+    clearDeal(state);
+  },
+};
+
+/**
+ * Apply one action to a room's state.
+ *
+ * @param {object} state the room; left unchanged
+ * @param {{type:string, seat?:number}} action see the list at the top of this file
+ * @param {{now?:number, createSeed?:function():string}} [env] clock and
+ *   seed source, for deterministic replays and tests
+ * @returns {{state:object, events:Array<{to:string|number, name:string, data?:object}>, error?:string}}
+ */
+function applyAction(state, action, env = {}) {
+  const handler = Object.prototype.hasOwnProperty.call(ACTIONS, action.type) ? ACTIONS[action.type] : null;
+  if (!handler) return { state, events: [], error: `Unknown action ${action.type}.` };
+  if ('seat' in action && !state.players[action.seat]) return { state, events: [], error: 'That seat is empty.' };
+  const ctx = {
+    state: structuredClone(state),
+    events: [],
+    now: env.now === undefined ? Date.now() : env.now,
+    createSeed: env.createSeed || createSeed,
+  };
+  const error = handler(ctx, action);
+  if (error) return { state, events: [], error };
+  return { state: ctx.state, events: ctx.events };
+}
+
+module.exports = {
+  SUIT_RANKING,
+  WASH_WINDOW_MS,
+  applyAction,
+  botWantsWash,
+  buildDeck,
+  canWash,
+  claimIsTrivial,
+  claimView,
+  evaluateTrick,
+  formatCard,
+  highCardPoints,
+  isHigherBid,
+  legalCardIndices,
+  matchStandings,
+  parseCard,
+  publicPlayers,
+  scoreDeal,
+  shuffle,
+};
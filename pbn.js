@@ -0,0 +1,156 @@
+/**
+ * Export of recorded deals in Portable Bridge Notation (PBN 2.1) so
+ * they can be loaded into standard bridge analysis tools.
+ *
+ * Seats map onto compass directions in playing order: position 0 is
+ * North, 1 East, 2 South and 3 West. Cards in the deal records are in
+ * the server's short form ('10H', 'AS') and are converted to PBN's
+ * suit-first form ('HT', 'SA') here.
+ *
+ * Singaporean Bridge has no fixed partnerships, so every game also
+ * carries two non-standard tags: CallCard (the card the declarer
+ * called) and Partner (the seat that held it, or '-' for a solo).
+ */
+
+const SEATS = ['N', 'E', 'S', 'W'];
+// PBN lists each hand spades first
+const PBN_SUITS = ['S', 'H', 'D', 'C'];
+const RANK_ORDER = 'AKQJT98765432';
+
+/**
+ * Split a formatted card such as '10H' into PBN suit and rank.
+ *
+ * @param {string} card
+ * @returns {{suit:string,rank:string}}
+ */
+function parseCard(card) {
+  const rank = card.slice(0, -1);
+  return { suit: card.slice(-1), rank: rank === '10' ? 'T' : rank };
+}
+
+/**
+ * Card in PBN play notation, e.g. 'HT'.
+ *
+ * @param {string} card
+ * @returns {string}
+ */
+function pbnCard(card) {
+  const { suit, rank } = parseCard(card);
+  return suit + rank;
+}
+
+/**
+ * A hand in PBN deal notation: spades.hearts.diamonds.clubs, each
+ * suit from the highest card down.
+ *
+ * @param {string[]} cards
+ * @returns {string}
+ */
+function pbnHand(cards) {
+  const bySuit = { S: [], H: [], D: [], C: [] };
+  cards.map(parseCard).forEach(({ suit, rank }) => bySuit[suit].push(rank));
+  return PBN_SUITS.map((suit) =>
+    bySuit[suit].sort((a, b) => RANK_ORDER.indexOf(a) - RANK_ORDER.indexOf(b)).join(''),
+  ).join('.');
+}
+
+/**
+ * A bid in PBN notation ('1C', '3NT') or 'Pass'.
+ *
+ * @param {{level:number,suit:string}|null} bid
+ * @returns {string}
+ */
+function pbnCall(bid) {
+  if (!bid) return 'Pass';
+  return `${bid.level}${bid.suit === 'N' ? 'NT' : bid.suit}`;
+}
+
+/**
+ * @param {number} timestamp
+ * @returns {string} date as YYYY.MM.DD
+ */
+function pbnDate(timestamp) {
+  const d = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}.${pad(d.getUTCMonth() + 1)}.${pad(d.getUTCDate())}`;
+}
+
+/**
+ * Quote a tag value, escaping backslashes and double quotes.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+  return `"${String(value).replace(/[\\"]/g, (c) => `\\${c}`)}"`;
+}
+
+/**
+ * Split items into lines of at most four, as PBN sections expect.
+ *
+ * @param {string[]} items
+ * @returns {string[]}
+ */
+function rowsOfFour(items) {
+  const rows = [];
+  for (let i = 0; i < items.length; i += 4) rows.push(items.slice(i, i + 4).join(' '));
+  return rows;
+}
+
+/**
+ * Render one recorded deal as a PBN game.
+ *
+ * @param {string} code room code, used in the Event tag
+ * @param {object} deal record as stored by the server
+ * @returns {string}
+ */
+function dealToPbn(code, deal) {
+  const { result } = deal;
+  const lines = [];
+  const tag = (name, value) => lines.push(`[${name} ${quote(value)}]`);
+  tag('Event', `Singaporean Bridge room ${code}`);
+  tag('Site', 'Bridge Online');
+  tag('Date', pbnDate(deal.finishedAt));
+  tag('Board', deal.number);
+  SEATS.forEach((seat, pos) => tag({ N: 'North', E: 'East', S: 'South', W: 'West' }[seat], deal.players[pos]));
+  tag('Dealer', SEATS[deal.dealer]);
+  tag('Vulnerable', 'None');
+  tag('Deal', `N:${deal.hands.map(pbnHand).join(' ')}`);
+  tag('Declarer', SEATS[result.declarer]);
+  tag('Contract', pbnCall(result.contract));
+  tag('Result', result.declarerTeamTricks);
+  tag('CallCard', deal.callCard ? pbnCard(deal.callCard) : '');
+  tag('Partner', result.partner >= 0 ? SEATS[result.partner] : '-');
+  // The auction starts to the dealer's left
+  tag('Auction', SEATS[deal.auction.length ? deal.auction[0].player : (deal.dealer + 1) % 4]);
+  lines.push(...rowsOfFour(deal.auction.map((entry) => pbnCall(entry.bid))));
+  // Play rows list each trick in fixed seat columns starting with the
+  // opening leader, whoever led that trick
+  const leader = deal.tricks.length ? deal.tricks[0].cards[0].player : (result.declarer + 1) % 4;
+  tag('Play', SEATS[leader]);
+  deal.tricks.forEach((trick) => {
+    const row = [];
+    trick.cards.forEach((entry) => {
+      row[(entry.player - leader + 4) % 4] = pbnCard(entry.card);
+    });
+    lines.push(row.join(' '));
+  });
+  // Tricks settled by a claim were never played; '*' marks the play as
+  // incomplete
+  if (deal.claim) lines.push('*');
+  return lines.join('\n');
+}
+
+/**
+ * Render all recorded deals of a room as a PBN file.
+ *
+ * @param {string} code
+ * @param {object[]} deals
+ * @returns {string}
+ */
+function dealsToPbn(code, deals) {
+  const header = ['% PBN 2.1', '% EXPORT', ''];
+  return header.join('\n') + deals.map((deal) => dealToPbn(code, deal)).join('\n\n') + '\n';
+}
+
+module.exports = { dealsToPbn };
@@ -23,6 +23,10 @@
   // Card called by the declarer (rank & suit) and trump suit
   let callCard = null;
   let trumpSuit = null;
+  // Whether trump has been played this deal (trump may not be led before)
+  let trumpBroken = false;
+  // House rules chosen by the host (see DEFAULT_RULES in server.js)
+  let rules = null;
   // Sets won by each player; array of 4 numbers updated after each round
   let playersSets = [0, 0, 0, 0];
   // Tracks the number of tricks (won hands) each player has taken in the current deal
@@ -34,22 +38,108 @@
   let hostId = null;
   let ready = false;
   let isHost = false;
-  let stage = 'lobby'; // lobby|bidding|callCard|playing
+  let stage = 'lobby'; // lobby|wash|bidding|callCard|playing|finished
   let trick = [];
+  // Claim waiting for answers: claimant, tricks, remaining, trivial,
+  // accepted seats and the claimant's hand
+  let claim = null;
+  // Calls made so far in this deal's auction, in order ({player, bid})
+  let auction = [];
+  // Tricks completed this deal ({cards, winner}); without the room's
+  // played-cards tracker only the last one is needed
+  let playedTricks = [];
+  let lastTrickShown = false;
+  // Card picked in the hand but not yet played, and a card queued to
+  // be played as soon as our turn comes round
+  let selectedCard = null;
+  let queuedCard = null;
+  // How cards are played on this device ({confirmPlay, preselect}),
+  // saved under its own key
+  const PLAY_PREFS_KEY = 'bridgePlayPrefs';
+  let playPrefs = { confirmPlay: false, preselect: false };
+  // Whether the deal is paused by vote, the seats voting to change
+  // that and how many votes it takes
+  let paused = false;
+  let pauseVotes = [];
+  let pauseVotesNeeded = 1;
+  // Final standings once the room's match is over
+  let matchResult = null;
+  // Continuous play between rounds: 'scheduled', 'paused' or null
+  let autoDealState = null;
+  // Watching the room without a seat: no hand and no actions
+  let isSpectator = false;
+  // Replay viewer: records fetched from the server, the one shown and
+  // the steps (deal, each bid, call card, each card) it is stepped through
+  let replayDeals = [];
+  let replayDeal = null;
+  let replaySteps = [];
+  let replayStep = 0;
+  // Hash of the current deal's seed and the hand we were dealt, used to
+  // verify the deal once the seed is revealed
+  let dealCommitment = null;
+  let dealtHand = [];
+  // Seat token issued by the server; stored so a refresh or dropped
+  // connection can reclaim the same seat
+  const SESSION_KEY = 'bridgeSession';
+  // Account we are logged in as ({username, stats}) and the key of its
+  // saved login token
+  let account = null;
+  const LOGIN_KEY = 'bridgeLogin';
 
   // --- DOM elements ---
   const lobbyDiv = document.getElementById('lobby');
   const roomsListDiv = document.getElementById('roomsList');
+  const leaderboardDiv = document.getElementById('leaderboard');
   const playerNameInput = document.getElementById('playerName');
   const roomCodeInput = document.getElementById('roomCodeInput');
   const createBtn = document.getElementById('createBtn');
   const joinBtn = document.getElementById('joinBtn');
+  const watchBtn = document.getElementById('watchBtn');
+  const roomPasswordInput = document.getElementById('roomPasswordInput');
+  const privateRoomInput = document.getElementById('privateRoomInput');
+  const inviteLinkDiv = document.getElementById('inviteLink');
+  const inviteLinkAnchor = document.getElementById('inviteLinkAnchor');
+  const chatPanel = document.getElementById('chat-panel');
+  const chatMessagesDiv = document.getElementById('chatMessages');
+  const chatInput = document.getElementById('chatInput');
+  const loginForm = document.getElementById('loginForm');
+  const loginUsernameInput = document.getElementById('loginUsername');
+  const loginPasswordInput = document.getElementById('loginPassword');
+  const accountInfoDiv = document.getElementById('accountInfo');
+  const accountNameSpan = document.getElementById('accountName');
+  const accountStatsDiv = document.getElementById('accountStats');
+  const spectatorListDivs = document.querySelectorAll('.spectator-list');
+  const allHandsDiv = document.getElementById('allHands');
+  const replayPanel = document.getElementById('replay-panel');
+  const replayDealSelect = document.getElementById('replayDealSelect');
+  const replayHandsDiv = document.getElementById('replayHands');
+  const replayAuctionDiv = document.getElementById('replayAuction');
+  const replayTrickDiv = document.getElementById('replayTrick');
+  const replayStepLabel = document.getElementById('replayStepLabel');
+  const replayPbnLink = document.getElementById('replayPbnLink');
   const lobbyMessageDiv = document.getElementById('lobbyMessage');
   const playersHeading = document.getElementById('playersHeading');
   const currentPlayersDiv = document.getElementById('currentPlayers');
   const readyBtn = document.getElementById('readyBtn');
   const startBtn = document.getElementById('startBtn');
+  const addBotBtn = document.getElementById('addBotBtn');
+  const rulesPanel = document.getElementById('rulesPanel');
+  const ruleInputs = {
+    noTrumpLead: document.getElementById('ruleNoTrumpLead'),
+    allowSelfCall: document.getElementById('ruleAllowSelfCall'),
+    trumpBreaking: document.getElementById('ruleTrumpBreaking'),
+    allowWash: document.getElementById('ruleAllowWash'),
+    maxBidLevel: document.getElementById('ruleMaxBidLevel'),
+    spectatorsSeeHands: document.getElementById('ruleSpectatorsSeeHands'),
+    spectatorChat: document.getElementById('ruleSpectatorChat'),
+    playedCardsTracker: document.getElementById('rulePlayedCardsTracker'),
+    autoDeal: document.getElementById('ruleAutoDeal'),
+    autoDealSeconds: document.getElementById('ruleAutoDealSeconds'),
+    matchFormat: document.getElementById('ruleMatchFormat'),
+    matchTarget: document.getElementById('ruleMatchTarget'),
+  };
   const timerSelect = document.getElementById('timerSelect');
+  const seedInput = document.getElementById('seedInput');
   const gameDiv = document.getElementById('game');
   const tableDiv = document.getElementById('table');
   const trickArea = document.getElementById('trick-area');
@@ -59,6 +149,7 @@
 
   // New UI elements
   const bidTrumpInfoDiv = document.getElementById('bidTrumpInfo');
+  const auctionTable = document.getElementById('auctionTable');
   const toggleLogsBtn = document.getElementById('toggleLogsBtn');
   const bidButtonsDiv = document.getElementById('bidButtons');
 
@@ -68,9 +159,35 @@
   const passBidBtn = document.getElementById('passBidBtn');
   const bidStatusDiv = document.getElementById('bidStatus');
   const callCardPanel = document.getElementById('call-card-panel');
+  const noticeDiv = document.getElementById('notice');
+  const washPanel = document.getElementById('wash-panel');
+  const washInfoDiv = document.getElementById('washInfo');
+  const washBtn = document.getElementById('washBtn');
+  const keepHandBtn = document.getElementById('keepHandBtn');
   const callRankSelect = document.getElementById('callRank');
   const callSuitSelect = document.getElementById('callSuit');
   const confirmCallBtn = document.getElementById('confirmCallBtn');
+  const claimPanel = document.getElementById('claim-panel');
+  const claimForm = document.getElementById('claimForm');
+  const claimTricksInput = document.getElementById('claimTricksInput');
+  const claimBtn = document.getElementById('claimBtn');
+  const claimPendingDiv = document.getElementById('claimPending');
+  const claimTitle = document.getElementById('claimTitle');
+  const claimHandDiv = document.getElementById('claimHand');
+  const claimStatusDiv = document.getElementById('claimStatus');
+  const acceptClaimBtn = document.getElementById('acceptClaimBtn');
+  const rejectClaimBtn = document.getElementById('rejectClaimBtn');
+  const confirmPlayInput = document.getElementById('confirmPlayInput');
+  const preselectInput = document.getElementById('preselectInput');
+  const playSelectedBtn = document.getElementById('playSelectedBtn');
+  const handStatusDiv = document.getElementById('handStatus');
+  const pausePanel = document.getElementById('pause-panel');
+  const pauseStatusDiv = document.getElementById('pauseStatus');
+  const pauseVoteBtn = document.getElementById('pauseVoteBtn');
+  const reviewPanel = document.getElementById('review-panel');
+  const lastTrickBtn = document.getElementById('lastTrickBtn');
+  const lastTrickDiv = document.getElementById('lastTrick');
+  const playedCardsDiv = document.getElementById('playedCards');
 
   // Create bidding buttons once
   createBidButtons();
@@ -158,6 +275,8 @@
    * @param {number} turnMs
    */
   function startCountdown(turnMs) {
+    // The clock is held while the game is paused; see showPaused
+    if (paused) return;
     stopCountdown();
     if (!turnMs || turnMs <= 0) {
       return;
@@ -183,6 +302,18 @@
       }
     }, 200);
   }
+  /**
+   * Show the held turn clock of a paused game in place of the
+   * countdown.
+   * @param {number|null} remainingMs
+   */
+  function showPaused(remainingMs) {
+    stopCountdown();
+    if (!countdownDiv) return;
+    const left = typeof remainingMs === 'number' ? ` (${Math.ceil(remainingMs / 1000)}s left)` : '';
+    countdownDiv.textContent = `Paused${left}`;
+    countdownDiv.classList.remove('hidden');
+  }
   /**
    * Stop the current countdown timer and hide the display.
    */
@@ -198,6 +329,93 @@
     lastBeepAt = null;
   }
 
+  /**
+   * Ask the server to put a bot in the next empty seat (host only).
+   */
+  function requestAddBot() {
+    if (!currentRoomCode) return;
+    socket.emit('addBot', { roomCode: currentRoomCode }, (res) => {
+      if (!res || !res.ok) alert(res?.error || 'Failed to add bot');
+    });
+  }
+
+  /**
+   * Read the house rules form into a rules object for the server.
+   * @returns {object}
+   */
+  function readRulesForm() {
+    return {
+      noTrumpLead: ruleInputs.noTrumpLead.value,
+      allowSelfCall: ruleInputs.allowSelfCall.checked,
+      trumpBreaking: ruleInputs.trumpBreaking.checked,
+      allowWash: ruleInputs.allowWash.checked,
+      maxBidLevel: Number(ruleInputs.maxBidLevel.value),
+      spectatorsSeeHands: ruleInputs.spectatorsSeeHands.checked,
+      spectatorChat: ruleInputs.spectatorChat.checked,
+      playedCardsTracker: ruleInputs.playedCardsTracker.checked,
+      autoDeal: ruleInputs.autoDeal.checked,
+      autoDealSeconds: Number(ruleInputs.autoDealSeconds.value),
+      matchFormat: ruleInputs.matchFormat.value,
+      matchTarget: Number(ruleInputs.matchTarget.value),
+    };
+  }
+
+  /**
+   * Show the room's house rules in the lobby form. Only the host may
+   * edit them; everyone else sees the same form disabled.
+   */
+  function updateRulesPanel() {
+    if (!rulesPanel || !rules) return;
+    rulesPanel.classList.toggle('hidden', !currentRoomCode);
+    ruleInputs.noTrumpLead.value = rules.noTrumpLead;
+    ruleInputs.allowSelfCall.checked = rules.allowSelfCall;
+    ruleInputs.trumpBreaking.checked = rules.trumpBreaking;
+    ruleInputs.allowWash.checked = rules.allowWash;
+    ruleInputs.maxBidLevel.value = String(rules.maxBidLevel);
+    ruleInputs.spectatorsSeeHands.checked = rules.spectatorsSeeHands;
+    ruleInputs.spectatorChat.checked = rules.spectatorChat;
+    ruleInputs.playedCardsTracker.checked = rules.playedCardsTracker;
+    ruleInputs.autoDeal.checked = rules.autoDeal;
+    ruleInputs.autoDealSeconds.value = String(rules.autoDealSeconds);
+    ruleInputs.matchFormat.value = rules.matchFormat;
+    ruleInputs.matchTarget.value = String(rules.matchTarget);
+    Object.values(ruleInputs).forEach((input) => {
+      input.disabled = !isHost;
+    });
+    ruleInputs.matchTarget.disabled = !isHost || rules.matchFormat === 'open';
+    ruleInputs.autoDealSeconds.disabled = !isHost || !rules.autoDeal;
+  }
+
+  /**
+   * One-line description of the house rules for the scoreboard.
+   * @returns {string}
+   */
+  function rulesSummary() {
+    if (!rules) return '';
+    const parts = [
+      rules.noTrumpLead === 'declarer' ? 'declarer leads in NT' : "declarer's left leads in NT",
+      rules.allowSelfCall ? 'self-call allowed' : 'no self-call',
+      rules.trumpBreaking ? 'trump must be broken' : 'trump may be led any time',
+      rules.allowWash ? 'wash allowed' : 'no wash',
+      `bids up to ${rules.maxBidLevel}`,
+      rules.playedCardsTracker ? 'played cards shown' : 'last trick only',
+    ];
+    if (rules.autoDeal) parts.push(`next deal after ${rules.autoDealSeconds}s`);
+    return `House rules: ${parts.join(', ')}.`;
+  }
+
+  /**
+   * Describe the match format and progress, or '' for open-ended play.
+   * @returns {string}
+   */
+  function matchSummary() {
+    if (!rules || rules.matchFormat === 'open') return '';
+    if (rules.matchFormat === 'rounds') {
+      return `Match: ${scoreHistory.length} of ${rules.matchTarget} rounds played.`;
+    }
+    return `Match: first to ${rules.matchTarget} points.`;
+  }
+
   // --- Utility functions ---
   function prettyCard(cardStr) {
     // Accepts already formatted string (e.g. '10H', 'AS'); returns string for display with Unicode suits
@@ -210,6 +428,78 @@
     while (el.firstChild) el.removeChild(el.firstChild);
   }
 
+  /**
+   * Persist, read and forget the seat token for the current room.
+   * localStorage may be unavailable (private browsing), so failures
+   * are ignored and reconnection simply will not be attempted.
+   */
+  function saveSession(session) {
+    try {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } catch (e) {
+      // ignore
+    }
+  }
+  function loadSession() {
+    try {
+      return JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+    } catch (e) {
+      return null;
+    }
+  }
+  function clearSession() {
+    try {
+      localStorage.removeItem(SESSION_KEY);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  /**
+   * Persist, read and forget the login token, with the same tolerance
+   * for unavailable storage as the seat token.
+   */
+  function saveLogin(token) {
+    try {
+      localStorage.setItem(LOGIN_KEY, token);
+    } catch (e) {
+      // ignore
+    }
+  }
+  function loadLogin() {
+    try {
+      return localStorage.getItem(LOGIN_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+  function clearLogin() {
+    try {
+      localStorage.removeItem(LOGIN_KEY);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  /**
+   * Persist and read the card-play preferences, with the same tolerance
+   * for unavailable storage as the seat token.
+   */
+  function savePlayPrefs() {
+    try {
+      localStorage.setItem(PLAY_PREFS_KEY, JSON.stringify(playPrefs));
+    } catch (e) {
+      // ignore
+    }
+  }
+  function loadPlayPrefs() {
+    try {
+      return { ...playPrefs, ...JSON.parse(localStorage.getItem(PLAY_PREFS_KEY) || '{}') };
+    } catch (e) {
+      return playPrefs;
+    }
+  }
+
   // Suit ranking for bidding comparison: Clubs < Diamonds < Hearts < Spades < No Trump
   const SUIT_RANKING = { C: 0, D: 1, H: 2, S: 3, N: 4 };
 
@@ -280,7 +570,8 @@
       const levelNum = Number(btn.dataset.level);
       const suitVal = btn.dataset.suit;
       const bidCandidate = { level: levelNum, suit: suitVal };
-      const disabled = highestBid ? !isHigherBid(bidCandidate, highestBid) : false;
+      const aboveCeiling = rules ? levelNum > rules.maxBidLevel : false;
+      const disabled = aboveCeiling || (highestBid ? !isHigherBid(bidCandidate, highestBid) : false);
       if (disabled) {
         btn.classList.add('disabled');
       } else {
@@ -342,6 +633,76 @@
     bidTrumpInfoDiv.classList.remove('hidden');
   }
 
+  /**
+   * Draw the auction as a bidding table: one column per seat starting
+   * with whoever bid first, one row per round of calls. Shown while
+   * the auction is on and through the play of the deal.
+   */
+  function updateAuctionTable() {
+    if (!auctionTable) return;
+    const inDeal = stage === 'bidding' || stage === 'callCard' || stage === 'playing';
+    clearChildNodes(auctionTable);
+    if (!inDeal || (auction.length === 0 && biddingTurn === null)) {
+      auctionTable.classList.add('hidden');
+      return;
+    }
+    const seats = players.length || 4;
+    const first = auction.length ? auction[0].player : biddingTurn;
+    const headRow = document.createElement('tr');
+    for (let i = 0; i < seats; i++) {
+      const pos = (first + i) % seats;
+      const th = document.createElement('th');
+      th.textContent = players[pos] ? players[pos].name : `P${pos}`;
+      headRow.appendChild(th);
+    }
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    const tbody = document.createElement('tbody');
+    const cells = auction.map((entry) => {
+      const td = document.createElement('td');
+      if (entry.bid) {
+        td.textContent = formatContract(entry.bid);
+        td.classList.add(`suit-${entry.bid.suit}`);
+      } else {
+        td.textContent = 'Pass';
+        td.classList.add('pass');
+      }
+      return td;
+    });
+    // Mark the seat still to call while the auction is on
+    if (stage === 'bidding' && biddingTurn !== null) {
+      const td = document.createElement('td');
+      td.textContent = '?';
+      td.classList.add('to-call');
+      cells.push(td);
+    }
+    for (let i = 0; i < cells.length; i += seats) {
+      const row = document.createElement('tr');
+      cells.slice(i, i + seats).forEach((td) => row.appendChild(td));
+      tbody.appendChild(row);
+    }
+    auctionTable.appendChild(thead);
+    auctionTable.appendChild(tbody);
+    auctionTable.classList.remove('hidden');
+  }
+
+  /**
+   * Running points totals after each round, one array of per-seat
+   * totals per history entry.
+   */
+  function runningTotals(history) {
+    const totals = [0, 0, 0, 0];
+    return history.map((round) => {
+      (round.points || []).forEach((pts, idx) => {
+        totals[idx] += pts;
+      });
+      return totals.slice();
+    });
+  }
+  function formatContract(bid) {
+    const suitMap = { C: '♣', D: '♦', H: '♥', S: '♠', N: 'NT' };
+    return bid ? `${bid.level}${suitMap[bid.suit] || ''}` : '-';
+  }
   /**
    * Update the scoreboard. Displays sets (round wins) for each player
    * and the history of rounds. History is an array of objects with
@@ -351,6 +712,22 @@
   function updateScoreboard(history = [], playersSetsArray = []) {
     if (!scoreboardDiv) return;
     clearChildNodes(scoreboardDiv);
+    if (rules) {
+      const rulesDiv = document.createElement('div');
+      rulesDiv.className = 'rules-summary';
+      rulesDiv.textContent = rulesSummary();
+      scoreboardDiv.appendChild(rulesDiv);
+      const matchText = matchSummary();
+      if (matchText) {
+        const matchDiv = document.createElement('div');
+        matchDiv.className = 'rules-summary';
+        matchDiv.textContent = matchText;
+        scoreboardDiv.appendChild(matchDiv);
+      }
+    }
+    if (stage === 'finished' && matchResult) {
+      renderStandings();
+    }
     // Determine winners of the last round based on the last history entry
     let lastRound = null;
     if (Array.isArray(history) && history.length > 0) {
@@ -374,7 +751,9 @@
         });
       }
     }
-    // Create a row for each player displaying their name, sets, and crown if declarer
+    const totalsByRound = runningTotals(history);
+    const totals = totalsByRound.length ? totalsByRound[totalsByRound.length - 1] : [0, 0, 0, 0];
+    // Create a row for each player displaying their name, sets, points, and crown if declarer
     players.forEach((p, idx) => {
       const row = document.createElement('div');
       row.className = 'scoreboard-player';
@@ -398,10 +777,18 @@
       const setsSpan = document.createElement('span');
       setsSpan.className = 'player-sets';
       setsSpan.textContent = `(${setsCount} set${setsCount === 1 ? '' : 's'})`;
+      const pointsSpan = document.createElement('span');
+      pointsSpan.className = 'player-points';
+      const lastPoints = lastRound && lastRound.points ? lastRound.points[idx] || 0 : 0;
+      pointsSpan.textContent = `${totals[idx]} pts`;
+      if (lastRound && lastRound.points) {
+        pointsSpan.textContent += ` (${lastPoints >= 0 ? '+' : ''}${lastPoints})`;
+      }
       row.appendChild(nameSpan);
       row.appendChild(setsSpan);
+      row.appendChild(pointsSpan);
       // If this row corresponds to the current player, add a ready/unready toggle button
-      if (idx === myPos) {
+      if (idx === myPos && stage !== 'finished') {
         const readyToggleBtn = document.createElement('button');
         readyToggleBtn.className = 'scoreboard-ready-btn';
         readyToggleBtn.textContent = p.ready ? 'Unready' : 'Ready';
@@ -416,6 +803,74 @@
       }
       scoreboardDiv.appendChild(row);
     });
+    // Round-by-round table with each player's running total
+    if (history.length > 0) {
+      const table = document.createElement('table');
+      table.className = 'score-history';
+      const header = document.createElement('tr');
+      ['#', 'Contract', ...players.map((p) => p.name)].forEach((label) => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        header.appendChild(th);
+      });
+      table.appendChild(header);
+      history.forEach((round, i) => {
+        const tr = document.createElement('tr');
+        const result = round.contractMade
+          ? `made${round.overtricks ? ` +${round.overtricks}` : ''}`
+          : `down ${round.undertricks || ''}`.trim();
+        const cells = [String(i + 1), `${formatContract(round.highestBid)}${round.solo ? ' solo' : ''} ${result}`];
+        players.forEach((p, idx) => cells.push(String(totalsByRound[i][idx])));
+        cells.forEach((text) => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          tr.appendChild(td);
+        });
+        table.appendChild(tr);
+      });
+      scoreboardDiv.appendChild(table);
+      // Spectators only replay deals when the room shows them the hands
+      if (!isSpectator || (rules && rules.spectatorsSeeHands)) {
+        const replayBtn = document.createElement('button');
+        replayBtn.className = 'scoreboard-ready-btn';
+        replayBtn.textContent = 'Replay deals';
+        replayBtn.addEventListener('click', openReplay);
+        scoreboardDiv.appendChild(replayBtn);
+      }
+    }
+    // Any player can hold or restart the countdown to an automatic deal
+    if (stage === 'waiting' && autoDealState && !isSpectator) {
+      const autoDiv = document.createElement('div');
+      autoDiv.className = 'auto-deal';
+      const autoBtn = document.createElement('button');
+      autoBtn.className = 'scoreboard-ready-btn';
+      if (autoDealState === 'paused') {
+        autoDiv.textContent = 'Next deal paused.';
+        autoBtn.textContent = 'Resume';
+        autoBtn.addEventListener('click', () => socket.emit('resumeAutoDeal', { roomCode: currentRoomCode }));
+      } else {
+        autoDiv.textContent = 'Next deal starts shortly.';
+        autoBtn.textContent = 'Pause';
+        autoBtn.addEventListener('click', () => socket.emit('pauseAutoDeal', { roomCode: currentRoomCode }));
+      }
+      autoDiv.appendChild(autoBtn);
+      scoreboardDiv.appendChild(autoDiv);
+    }
+    // Once the match is over the host may only start a rematch
+    if (stage === 'finished') {
+      if (isHost && currentRoomCode) {
+        const rematchBtn = document.createElement('button');
+        rematchBtn.id = 'rematchBtn';
+        rematchBtn.textContent = 'Rematch';
+        rematchBtn.addEventListener('click', () => {
+          socket.emit('rematch', { roomCode: currentRoomCode }, (res) => {
+            if (!res || !res.ok) alert(res?.error || 'Failed to start rematch');
+          });
+        });
+        scoreboardDiv.appendChild(rematchBtn);
+      }
+      return;
+    }
     // Append a New Game button for the host to start another deal
     if (isHost && currentRoomCode) {
       const btnDiv = document.createElement('div');
@@ -434,15 +889,249 @@
         });
       });
       btnDiv.appendChild(newGameBtn);
+      if (players.length < 4) {
+        const scoreAddBotBtn = document.createElement('button');
+        scoreAddBotBtn.className = 'scoreboard-ready-btn';
+        scoreAddBotBtn.textContent = 'Add Bot';
+        scoreAddBotBtn.addEventListener('click', requestAddBot);
+        btnDiv.appendChild(scoreAddBotBtn);
+      }
       scoreboardDiv.appendChild(btnDiv);
     }
   }
+  /**
+   * Recompute a deal from its seed exactly as the server does (see
+   * createSeededRandom and startDeal in game.js) and return the four
+   * hands in seat order.
+   * @param {string} seed
+   * @returns {Promise<string[][]>}
+   */
+  async function dealFromSeed(seed) {
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', enc.encode(seed), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    let block = new DataView(new ArrayBuffer(0));
+    let counter = 0;
+    let offset = 0;
+    const nextUint32 = async () => {
+      if (offset + 4 > block.byteLength) {
+        block = new DataView(await crypto.subtle.sign('HMAC', key, enc.encode(`bridge-shuffle:${counter++}`)));
+        offset = 0;
+      }
+      const value = block.getUint32(offset);
+      offset += 4;
+      return value;
+    };
+    const randomInt = async (max) => {
+      const limit = Math.floor(0x100000000 / max) * max;
+      let value;
+      do {
+        value = await nextUint32();
+      } while (value >= limit);
+      return value % max;
+    };
+    const rankMap = { 11: 'J', 12: 'Q', 13: 'K', 14: 'A' };
+    const deck = [];
+    ['C', 'D', 'H', 'S'].forEach((suit) => {
+      for (let rank = 2; rank <= 14; rank++) deck.push((rankMap[rank] || String(rank)) + suit);
+    });
+    for (let i = deck.length - 1; i > 0; i--) {
+      const j = await randomInt(i + 1);
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    const hands = [[], [], [], []];
+    for (let i = 0; i < 13; i++) {
+      for (let p = 0; p < 4; p++) hands[p].push(deck.pop());
+    }
+    return hands;
+  }
+  /**
+   * Check a revealed seed against the commitment published when the
+   * deal started and, for a seated player, against the hand dealt.
+   * Web Crypto is only available on secure pages; elsewhere the seed
+   * is just logged for checking by hand.
+   */
+  async function verifyDeal(seed, commitment) {
+    showMessage(`Deal seed revealed: ${seed}`);
+    if (!window.crypto || !crypto.subtle) return;
+    try {
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(seed));
+      const hash = Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+      if (hash !== commitment || (dealCommitment && hash !== dealCommitment)) {
+        showNotice('Warning: the revealed seed does not match the commitment for this deal!', 10000);
+        return;
+      }
+      if (myPos !== null && dealtHand.length === 13) {
+        const hands = await dealFromSeed(seed);
+        const expected = hands[myPos].slice().sort().join(',');
+        if (expected !== dealtHand.slice().sort().join(',')) {
+          showNotice('Warning: your hand does not match the revealed seed!', 10000);
+          return;
+        }
+      }
+      showMessage('Deal verified: the seed matches its commitment and your hand.');
+    } catch (err) {
+      showMessage('Could not verify the deal in this browser.');
+    }
+  }
+  /**
+   * List who is watching the room, in the lobby and below the table.
+   */
+  function updateSpectatorList(spectators) {
+    spectatorListDivs.forEach((div) => {
+      div.textContent = spectators.length ? `Watching: ${spectators.map((s) => s.name).join(', ')}` : '';
+      div.classList.toggle('hidden', spectators.length === 0);
+    });
+  }
+  /**
+   * Show every hand of the finished deal (spectators only, when the
+   * host allows it).
+   */
+  function showAllHands(hands) {
+    clearChildNodes(allHandsDiv);
+    const title = document.createElement('h3');
+    title.textContent = 'Hands this deal';
+    allHandsDiv.appendChild(title);
+    hands.forEach((cards, pos) => {
+      const row = document.createElement('div');
+      const name = players[pos] ? players[pos].name : `Player ${pos}`;
+      row.textContent = `${name}: ${cards.map(prettyCard).join(' ')}`;
+      allHandsDiv.appendChild(row);
+    });
+    allHandsDiv.classList.remove('hidden');
+  }
+  /**
+   * Query string proving we may see this room's deals: our seat token,
+   * or the password we entered for a locked room.
+   * @returns {string}
+   */
+  function dealsQuery() {
+    const session = loadSession();
+    const params = new URLSearchParams();
+    if (session && session.roomCode === currentRoomCode && !isSpectator) params.set('token', session.token);
+    else if (roomPasswordInput.value) params.set('password', roomPasswordInput.value);
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  }
+  /**
+   * Fetch the room's deal records and open the replay viewer on the
+   * most recent one.
+   */
+  function openReplay() {
+    if (!currentRoomCode) return;
+    fetch(`/api/rooms/${currentRoomCode}/deals${dealsQuery()}`)
+      .then((res) => res.json())
+      .then(({ deals, error }) => {
+        if (error || !deals || deals.length === 0) {
+          alert(error || 'No finished deals to replay yet.');
+          return;
+        }
+        replayDeals = deals;
+        clearChildNodes(replayDealSelect);
+        deals.forEach((deal, i) => {
+          const option = document.createElement('option');
+          option.value = String(i);
+          option.textContent = `Deal ${deal.number}: ${formatContract(deal.result.contract)} by ${deal.players[deal.result.declarer]}`;
+          replayDealSelect.appendChild(option);
+        });
+        replayDealSelect.value = String(deals.length - 1);
+        replayPbnLink.href = `/api/rooms/${currentRoomCode}/deals.pbn${dealsQuery()}`;
+        selectReplayDeal(deals.length - 1);
+        replayPanel.classList.remove('hidden');
+      })
+      .catch(() => alert('Failed to load deals.'));
+  }
+  function selectReplayDeal(index) {
+    replayDeal = replayDeals[index];
+    replaySteps = [{ type: 'deal' }];
+    replayDeal.auction.forEach((entry, i) => replaySteps.push({ type: 'bid', index: i }));
+    if (replayDeal.callCard) replaySteps.push({ type: 'call' });
+    replayDeal.tricks.forEach((t, trickIndex) => {
+      t.cards.forEach((c, cardIndex) => replaySteps.push({ type: 'card', trick: trickIndex, card: cardIndex }));
+    });
+    replayStep = 0;
+    renderReplay();
+  }
+  /**
+   * Draw the replayed deal as it stood at the current step: the cards
+   * each player still held, the auction so far and the trick in play.
+   */
+  function renderReplay() {
+    const deal = replayDeal;
+    const step = replaySteps[replayStep];
+    const bidsShown = replaySteps.slice(0, replayStep + 1).filter((s) => s.type === 'bid').length;
+    const cardsShown = replaySteps.slice(0, replayStep + 1).filter((s) => s.type === 'card');
+    const played = new Set();
+    cardsShown.forEach((s) => played.add(deal.tricks[s.trick].cards[s.card].card));
+    clearChildNodes(replayHandsDiv);
+    deal.hands.forEach((cards, pos) => {
+      const row = document.createElement('div');
+      const tags = [];
+      if (pos === deal.dealer) tags.push('dealer');
+      if (pos === deal.result.declarer) tags.push('declarer');
+      if (pos === deal.result.partner) tags.push('partner');
+      const remaining = cards.filter((c) => !played.has(c));
+      row.textContent = `${deal.players[pos]}${tags.length ? ` (${tags.join(', ')})` : ''}: ${remaining.map(prettyCard).join(' ')}`;
+      replayHandsDiv.appendChild(row);
+    });
+    const bids = deal.auction.slice(0, bidsShown).map((entry) => `${deal.players[entry.player]} ${entry.bid ? formatContract(entry.bid) : 'pass'}`);
+    let auctionText = `Auction: ${bids.join(', ') || '-'}`;
+    if (deal.callCard && (step.type === 'call' || step.type === 'card')) {
+      auctionText += `. Called ${prettyCard(deal.callCard)}.`;
+    }
+    replayAuctionDiv.textContent = auctionText;
+    clearChildNodes(replayTrickDiv);
+    if (step.type === 'card') {
+      const t = deal.tricks[step.trick];
+      const shown = t.cards.slice(0, step.card + 1);
+      const label = document.createElement('div');
+      label.textContent = `Trick ${step.trick + 1}`;
+      replayTrickDiv.appendChild(label);
+      shown.forEach((entry) => {
+        const div = document.createElement('div');
+        div.className = 'trick-card';
+        div.textContent = `${deal.players[entry.player]}: ${prettyCard(entry.card)}`;
+        replayTrickDiv.appendChild(div);
+      });
+      if (shown.length === t.cards.length) {
+        const winner = document.createElement('div');
+        winner.textContent = `Won by ${deal.players[t.winner]}`;
+        replayTrickDiv.appendChild(winner);
+      }
+    }
+    const r = deal.result;
+    const resultText = `${formatContract(r.contract)} ${r.contractMade ? 'made' : 'failed'} with ${r.declarerTeamTricks} tricks`;
+    replayStepLabel.textContent =
+      replayStep === replaySteps.length - 1 ? resultText : `Step ${replayStep + 1} of ${replaySteps.length}`;
+  }
+  /**
+   * Final standings heading the scoreboard after a match ends.
+   */
+  function renderStandings() {
+    const standingsDiv = document.createElement('div');
+    standingsDiv.className = 'match-standings';
+    const title = document.createElement('h2');
+    const winnerNames = matchResult.winners.map((pos) => (players[pos] ? players[pos].name : `Player ${pos}`));
+    title.textContent = `Match over: ${winnerNames.join(' and ')} won!`;
+    standingsDiv.appendChild(title);
+    const list = document.createElement('ol');
+    matchResult.standings.forEach((entry) => {
+      const li = document.createElement('li');
+      li.textContent = `${entry.name}: ${entry.score} pts, ${entry.sets} set${entry.sets === 1 ? '' : 's'}`;
+      if (matchResult.winners.includes(entry.pos)) li.classList.add('winner');
+      list.appendChild(li);
+    });
+    standingsDiv.appendChild(list);
+    const rounds = document.createElement('div');
+    rounds.textContent = `${matchResult.rounds} round${matchResult.rounds === 1 ? '' : 's'} played.`;
+    standingsDiv.appendChild(rounds);
+    scoreboardDiv.appendChild(standingsDiv);
+  }
   function updateLobbyRooms(list) {
     // Populate the rooms list with join buttons
     clearChildNodes(roomsListDiv);
     if (!list || list.length === 0) {
       const p = document.createElement('p');
-      p.textContent = 'No open rooms. Create one!';
+      p.textContent = 'No rooms yet. Create one!';
       roomsListDiv.appendChild(p);
       return;
     }
@@ -450,26 +1139,210 @@
       const div = document.createElement('div');
       div.className = 'room-entry';
       const info = document.createElement('span');
-      info.textContent = `${room.code} (${room.players}/4)`;
+      info.textContent = `${room.locked ? '🔒 ' : ''}${room.code} (${room.players}/4)${room.open ? '' : ' in play'}`;
       div.appendChild(info);
+      const watchRoomBtn = document.createElement('button');
+      watchRoomBtn.textContent = 'Watch';
+      watchRoomBtn.addEventListener('click', () => {
+        const name = playerNameInput?.value?.trim?.();
+        if (!name) {
+          alert('Please enter your name');
+          return;
+        }
+        socket.emit('spectateRoom', { roomCode: room.code, name, password: roomPasswordInput.value });
+      });
+      if (!room.open) {
+        div.appendChild(watchRoomBtn);
+        roomsListDiv.appendChild(div);
+        return;
+      }
       const btn = document.createElement('button');
       btn.textContent = 'Join';
       btn.addEventListener('click', () => {
         // Auto join the selected room instead of just filling the code
-        const name = playerNameInput?.value?.trim?.();
-        if (!name) {
-          alert('Please enter your name');
+        if (!account) {
+          alert('Please log in to play');
           return;
         }
         currentRoomCode = room.code;
         startBackgroundMusic();
-        socket.emit('joinRoom', { roomCode: room.code, name });
+        socket.emit('joinRoom', { roomCode: room.code, password: roomPasswordInput.value });
       });
       div.appendChild(btn);
+      div.appendChild(watchRoomBtn);
       roomsListDiv.appendChild(div);
     });
   }
 
+  /**
+   * Show the invite link of the room we are in. The link opens the
+   * lobby with the code filled in; a room password is never part of it.
+   */
+  function updateInviteLink() {
+    if (!inviteLinkDiv) return;
+    inviteLinkDiv.classList.toggle('hidden', !currentRoomCode);
+    if (!currentRoomCode) return;
+    const url = `${location.origin}/r/${currentRoomCode}`;
+    inviteLinkAnchor.href = url;
+    inviteLinkAnchor.textContent = url;
+  }
+
+  /**
+   * Add one chat message to the bottom of the chat panel, keeping the
+   * newest message in view.
+   *
+   * @param {{name:string,text:string,reaction:string|null,spectator:boolean}} msg
+   */
+  function appendChatMessage(msg) {
+    const line = document.createElement('div');
+    if (msg.spectator) line.className = 'chat-spectator';
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'chat-name';
+    nameSpan.textContent = msg.spectator ? `${msg.name} (watching):` : `${msg.name}:`;
+    const textSpan = document.createElement('span');
+    if (msg.reaction) textSpan.className = 'chat-reaction';
+    textSpan.textContent = msg.text;
+    line.appendChild(nameSpan);
+    line.appendChild(textSpan);
+    chatMessagesDiv.appendChild(line);
+    chatMessagesDiv.scrollTop = chatMessagesDiv.scrollHeight;
+  }
+
+  /**
+   * Spectators cannot chat when the host has turned it off for them.
+   */
+  function updateChatControls() {
+    if (!chatPanel) return;
+    const muted = isSpectator && rules && rules.spectatorChat === false;
+    chatPanel.querySelectorAll('input, button').forEach((el) => {
+      el.disabled = muted;
+    });
+    chatInput.placeholder = muted ? 'The host has turned off spectator chat' : 'Say something';
+  }
+
+  function sendChat(message) {
+    if (!currentRoomCode) return;
+    socket.emit('sendChat', { roomCode: currentRoomCode, ...message }, (res) => {
+      if (!res || !res.ok) showChatError(res?.error || 'Message not sent');
+    });
+  }
+  function showChatError(error) {
+    appendChatMessage({ name: 'Chat', text: error, reaction: null, spectator: true });
+  }
+
+  /**
+   * Fetch the rating leaderboard and render it as a table of rank,
+   * name, rating and deals won out of deals played. Our own row is
+   * highlighted.
+   */
+  async function refreshLeaderboard() {
+    if (!leaderboardDiv) return;
+    let list;
+    try {
+      const res = await fetch('/api/leaderboard');
+      if (!res.ok) return;
+      list = (await res.json()).players;
+    } catch (e) {
+      return;
+    }
+    clearChildNodes(leaderboardDiv);
+    if (list.length === 0) {
+      const p = document.createElement('p');
+      p.textContent = 'No rated deals yet.';
+      leaderboardDiv.appendChild(p);
+      return;
+    }
+    const table = document.createElement('table');
+    const head = table.createTHead().insertRow();
+    ['#', 'Player', 'Rating', 'Won'].forEach((text) => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    list.forEach((entry, i) => {
+      const tr = body.insertRow();
+      if (account && entry.name.toLowerCase() === account.username.toLowerCase()) tr.className = 'me';
+      [i + 1, entry.name, entry.rating, `${entry.wins}/${entry.deals}`].forEach((text) => {
+        tr.insertCell().textContent = text;
+      });
+    });
+    leaderboardDiv.appendChild(table);
+  }
+
+  /**
+   * Show who is logged in, or the login form when nobody is. Players
+   * sit under their account name, so it also fills the name field
+   * used when watching a room.
+   *
+   * @param {{username:string,stats:object}|null} user
+   */
+  function setAccount(user) {
+    account = user;
+    loginForm.classList.toggle('hidden', !!user);
+    accountInfoDiv.classList.toggle('hidden', !user);
+    playerNameInput.disabled = !!user;
+    if (user) {
+      accountNameSpan.textContent = user.username;
+      playerNameInput.value = user.username;
+    }
+    renderAccountStats();
+    refreshLeaderboard();
+  }
+
+  /**
+   * Reload our lifetime stats after a deal has been recorded.
+   */
+  async function refreshAccountStats() {
+    if (!account) return;
+    try {
+      const res = await fetch(`/api/users/${encodeURIComponent(account.username)}`);
+      if (!res.ok) return;
+      const user = await res.json();
+      if (account && account.username === user.username) {
+        account = user;
+        renderAccountStats();
+      }
+    } catch (e) {
+      // keep the stats we have
+    }
+  }
+
+  /**
+   * Render the logged-in account's totals and its contract success
+   * rate as declarer by bid level and by trump suit.
+   */
+  function renderAccountStats() {
+    clearChildNodes(accountStatsDiv);
+    if (!account) return;
+    const stats = account.stats;
+    const totals = document.createElement('div');
+    totals.textContent =
+      `Deals: ${stats.dealsPlayed} · Sets won: ${stats.setsWon} · ` +
+      `Declarer: ${stats.timesDeclarer} · Partner: ${stats.timesPartner}`;
+    accountStatsDiv.appendChild(totals);
+    const rate = ({ played, made }) => `${made}/${played} (${Math.round((made / played) * 100)}%)`;
+    const table = document.createElement('table');
+    const addRow = (label, entry) => {
+      if (!entry) return;
+      const tr = document.createElement('tr');
+      [label, rate(entry)].forEach((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    };
+    for (let level = 1; level <= 7; level++) addRow(`Level ${level}`, stats.contractsByLevel[level]);
+    const suitNames = { C: 'Clubs', D: 'Diamonds', H: 'Hearts', S: 'Spades', N: 'No Trump' };
+    Object.keys(suitNames).forEach((suit) => addRow(suitNames[suit], stats.contractsBySuit[suit]));
+    if (table.rows.length) {
+      const caption = table.createCaption();
+      caption.textContent = 'Contracts made as declarer';
+      accountStatsDiv.appendChild(table);
+    }
+  }
+
   /**
    * Update the list of players displayed in the lobby once a room is joined.
    * Shows each player's name and ready status.
@@ -481,15 +1354,67 @@
     list.forEach((p) => {
       const div = document.createElement('div');
       div.className = 'player-entry';
-      div.textContent = p.name + (p.ready ? ' (ready)' : '');
+      div.textContent =
+        `${p.pos + 1}. ` +
+        (p.isBot ? '🤖 ' : '') +
+        p.name +
+        (p.id === hostId ? ' (host)' : '') +
+        (p.ready ? ' (ready)' : '') +
+        (p.connected === false ? ' (offline)' : '');
+      // Seat picker: the host moves players around before the first deal
+      if (isHost && list.length > 1 && scoreHistory.length === 0) {
+        const seatSelect = document.createElement('select');
+        seatSelect.className = 'seat-select';
+        list.forEach((other) => {
+          const option = document.createElement('option');
+          option.value = other.pos;
+          option.textContent = `Seat ${other.pos + 1}`;
+          option.selected = other.pos === p.pos;
+          seatSelect.appendChild(option);
+        });
+        seatSelect.addEventListener('change', () => {
+          socket.emit('swapSeats', { roomCode: currentRoomCode, from: p.pos, to: Number(seatSelect.value) }, (res) => {
+            if (!res || !res.ok) alert(res?.error || 'Failed to move player');
+          });
+        });
+        div.appendChild(seatSelect);
+      }
+      if (isHost && !p.isBot && p.id !== myId) {
+        const hostAction = (label, event, failure) => {
+          const btn = document.createElement('button');
+          btn.className = 'host-action-btn';
+          btn.textContent = label;
+          btn.addEventListener('click', () => {
+            socket.emit(event, { roomCode: currentRoomCode, pos: p.pos }, (res) => {
+              if (!res || !res.ok) alert(res?.error || failure);
+            });
+          });
+          div.appendChild(btn);
+        };
+        if (p.connected !== false) hostAction('Make host', 'transferHost', 'Failed to transfer host');
+        hostAction('Kick', 'kickPlayer', 'Failed to kick player');
+      }
+      if (isHost && p.isBot) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-bot-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+          socket.emit('removeBot', { roomCode: currentRoomCode, pos: p.pos }, (res) => {
+            if (!res || !res.ok) alert(res?.error || 'Failed to remove bot');
+          });
+        });
+        div.appendChild(removeBtn);
+      }
       currentPlayersDiv.appendChild(div);
     });
+    addBotBtn?.classList?.toggle('hidden', !isHost || list.length >= 4);
   }
   function updatePlayersUI() {
     // Determine relative seating for each player based on my position
     const seatOrder = ['bottom', 'right', 'top', 'left'];
     players.forEach((p) => {
-      const rel = (p.pos - myPos + 4) % 4;
+      // Spectators see the table from the first seat
+      const rel = (p.pos - (myPos ?? 0) + 4) % 4;
       const seat = seatOrder[rel];
       const seatDiv = document.getElementById(`player-${seat}`);
       if (!seatDiv) return;
@@ -502,11 +1427,28 @@
       if (stage === 'lobby' || stage === 'waiting') {
         nameHtml += p.ready ? ' ✓' : '';
       }
+      if (p.isBot) {
+        nameHtml = '🤖 ' + nameHtml;
+      } else if (p.connected === false) {
+        nameHtml += ' <span class="offline-tag">(offline)</span>';
+      }
       // Show crown for the highest bidder/declarer in callCard, playing, or waiting stage
       if (declarer !== null && declarer !== undefined && p.pos === declarer && (stage === 'callCard' || stage === 'playing' || stage === 'waiting')) {
         nameHtml += ' <span class="crown-icon">👑</span>';
       }
       nameDiv.innerHTML = nameHtml;
+      // Host can hand a dropped player's seat to a bot straight away
+      if (isHost && p.connected === false && !p.isBot && stage !== 'waiting' && stage !== 'lobby') {
+        const takeoverBtn = document.createElement('button');
+        takeoverBtn.className = 'takeover-btn';
+        takeoverBtn.textContent = 'Bot plays';
+        takeoverBtn.addEventListener('click', () => {
+          socket.emit('botTakeover', { roomCode: currentRoomCode, pos: p.pos }, (res) => {
+            if (!res || !res.ok) alert(res?.error || 'Failed to hand seat to a bot');
+          });
+        });
+        nameDiv.appendChild(takeoverBtn);
+      }
       // Do not show remaining card count during play. Hide this text completely
       if (countDiv) {
         countDiv.textContent = '';
@@ -526,8 +1468,79 @@
       }
     });
   }
+  /**
+   * Cards in my hand that may be played now, mirroring the server's
+   * rules: follow the lead suit if possible, and do not lead trump
+   * before it is broken (when the room says trumps must be broken)
+   * unless holding only trumps.
+   * @returns {Set<string>}
+   */
+  function legalCards() {
+    const suitOf = (c) => c.slice(-1);
+    const trump = trumpSuit && trumpSuit !== 'N' ? trumpSuit : null;
+    if (trick.length > 0) {
+      const leadSuit = suitOf(trick[0].card);
+      const inSuit = hand.filter((c) => suitOf(c) === leadSuit);
+      return new Set(inSuit.length > 0 ? inSuit : hand);
+    }
+    if (rules && rules.trumpBreaking && trump && !trumpBroken) {
+      const nonTrump = hand.filter((c) => suitOf(c) !== trump);
+      if (nonTrump.length > 0) return new Set(nonTrump);
+    }
+    return new Set(hand);
+  }
+  function isMyTurnToPlay() {
+    return stage === 'playing' && myPos === playingTurn && !claim && !paused;
+  }
+  /**
+   * Whether a card may be queued now to be played on our next turn.
+   */
+  function canPreselect() {
+    return playPrefs.preselect && stage === 'playing' && !isSpectator && myPos !== playingTurn;
+  }
+  /**
+   * Play a card if it is our turn and the card is legal. Returns
+   * whether it was sent.
+   * @param {string} card
+   * @returns {boolean}
+   */
+  function playCard(card) {
+    if (!isMyTurnToPlay() || !legalCards().has(card)) return false;
+    selectedCard = null;
+    queuedCard = null;
+    socket.emit('playCard', { roomCode: currentRoomCode, card });
+    updateHandUI();
+    return true;
+  }
+  /**
+   * Act on a card chosen in the hand by click or keyboard. On our turn
+   * it is played straight away, or with confirmPlay selected first and
+   * played when chosen again. Otherwise, with preselect on, it is
+   * queued for our next turn (choosing it again unqueues it).
+   * @param {string} card
+   */
+  function chooseCard(card) {
+    if (isMyTurnToPlay()) {
+      if (!legalCards().has(card)) return;
+      if (playPrefs.confirmPlay && selectedCard !== card) {
+        selectedCard = card;
+        updateHandUI();
+        return;
+      }
+      playCard(card);
+      return;
+    }
+    if (!canPreselect()) return;
+    queuedCard = queuedCard === card ? null : card;
+    selectedCard = queuedCard;
+    updateHandUI();
+  }
   function updateHandUI() {
     clearChildNodes(myHandDiv);
+    if (selectedCard && !hand.includes(selectedCard)) selectedCard = null;
+    if (queuedCard && !hand.includes(queuedCard)) queuedCard = null;
+    const myTurn = isMyTurnToPlay();
+    const legal = myTurn ? legalCards() : null;
     hand.forEach((card) => {
       const btn = document.createElement('button');
       btn.className = 'card';
@@ -535,13 +1548,162 @@
       // Assign suit class for colouring
       const suit = card.slice(-1);
       btn.classList.add('suit-' + suit);
-      btn.addEventListener('click', () => {
-        // Only allow playing card when it's your turn and stage is playing
-        if (stage !== 'playing' || myPos !== playingTurn) return;
-        socket.emit('playCard', { roomCode: currentRoomCode, card });
+      // Grey out cards that cannot be played on this turn
+      if (legal && !legal.has(card)) btn.classList.add('illegal');
+      if (card === selectedCard) btn.classList.add('selected');
+      if (card === queuedCard) btn.classList.add('queued');
+      // Legal cards may be dragged onto the trick area to play them
+      btn.draggable = myTurn && legal.has(card);
+      btn.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', card);
+        e.dataTransfer.effectAllowed = 'move';
       });
+      btn.addEventListener('click', () => chooseCard(card));
       myHandDiv.appendChild(btn);
     });
+    playSelectedBtn.classList.toggle('hidden', !(myTurn && selectedCard));
+    if (queuedCard) {
+      handStatusDiv.textContent = `${prettyCard(queuedCard)} will be played when it is your turn.`;
+    } else if (myTurn && selectedCard) {
+      handStatusDiv.textContent = `Play ${prettyCard(selectedCard)}? Choose it again or press Enter.`;
+    } else {
+      handStatusDiv.textContent = '';
+    }
+  }
+  /**
+   * Keyboard card play: a suit letter (C, D, H, S) selects the highest
+   * card of that suit and pressing it again steps down the suit; the
+   * arrow keys move through the hand; Enter or Space plays (or queues)
+   * the selected card and Escape drops the selection.
+   * @param {KeyboardEvent} e
+   */
+  function handleHandKey(e) {
+    if (stage !== 'playing' || isSpectator || hand.length === 0) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    // Leave typing and other buttons alone
+    if (e.target.closest && e.target.closest('input, textarea, select, button:not(.card)')) return;
+    const key = e.key.toUpperCase();
+    const index = hand.indexOf(selectedCard);
+    if (['C', 'D', 'H', 'S'].includes(key)) {
+      // Hands are sorted low to high within each suit
+      const suitCards = hand.filter((c) => c.slice(-1) === key).reverse();
+      if (suitCards.length === 0) return;
+      const next = suitCards[(suitCards.indexOf(selectedCard) + 1) % suitCards.length];
+      selectedCard = next;
+    } else if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+      const step = e.key === 'ArrowRight' ? 1 : -1;
+      selectedCard = hand[index === -1 ? 0 : (index + step + hand.length) % hand.length];
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      if (!selectedCard) return;
+      if (isMyTurnToPlay()) playCard(selectedCard);
+      else if (canPreselect()) queuedCard = selectedCard;
+    } else if (e.key === 'Escape') {
+      selectedCard = null;
+      queuedCard = null;
+    } else {
+      return;
+    }
+    e.preventDefault();
+    updateHandUI();
+  }
+  /**
+   * Show the claim controls: a form to claim tricks between tricks,
+   * or a pending claim with the claimant's hand and, for the players
+   * who still have to answer it, buttons to accept or reject.
+   */
+  function updateClaimPanel() {
+    const canClaim = stage === 'playing' && !isSpectator && !claim && trick.length === 0 && hand.length > 0;
+    claimPanel.classList.toggle('hidden', !canClaim && !claim);
+    claimForm.classList.toggle('hidden', !canClaim);
+    claimPendingDiv.classList.toggle('hidden', !claim);
+    if (!claim) {
+      claimTricksInput.max = hand.length;
+      claimTricksInput.value = hand.length;
+      return;
+    }
+    const name = players[claim.claimant] ? players[claim.claimant].name : `Player ${claim.claimant}`;
+    claimTitle.textContent = `${name} claims ${claim.tricks} of the last ${claim.remaining} tricks`;
+    clearChildNodes(claimHandDiv);
+    claim.hand.forEach((card) => {
+      const span = document.createElement('span');
+      span.className = `card suit-${card.slice(-1)}`;
+      span.textContent = prettyCard(card);
+      claimHandDiv.appendChild(span);
+    });
+    const accepted = claim.accepted.map((pos) => (players[pos] ? players[pos].name : `Player ${pos}`));
+    claimStatusDiv.textContent = [
+      claim.trivial ? 'Checked by the server: this claim cannot fail.' : '',
+      accepted.length ? `Accepted by ${accepted.join(', ')}.` : '',
+    ]
+      .filter(Boolean)
+      .join(' ');
+    const canAnswer = !isSpectator && myPos !== claim.claimant && !claim.accepted.includes(myPos);
+    acceptClaimBtn.classList.toggle('hidden', !canAnswer);
+    rejectClaimBtn.classList.toggle('hidden', !canAnswer);
+  }
+  /**
+   * Show whether the deal is paused and how the vote to pause or
+   * resume stands, with a button for seated players who have not
+   * voted yet.
+   */
+  function updatePausePanel() {
+    const inDeal = ['wash', 'bidding', 'callCard', 'playing'].includes(stage);
+    pausePanel.classList.toggle('hidden', !inDeal || (isSpectator && !paused && pauseVotes.length === 0));
+    const action = paused ? 'resume' : 'pause';
+    const parts = [];
+    if (paused) parts.push('The game is paused.');
+    if (pauseVotes.length > 0) {
+      const names = pauseVotes.map((pos) => (players[pos] ? players[pos].name : `Player ${pos}`));
+      parts.push(`${names.join(', ')} voted to ${action} (${pauseVotes.length} of ${pauseVotesNeeded} needed).`);
+    }
+    pauseStatusDiv.textContent = parts.join(' ');
+    pauseVoteBtn.textContent = paused ? 'Vote to resume' : 'Vote to pause';
+    pauseVoteBtn.classList.toggle('hidden', isSpectator || pauseVotes.includes(myPos));
+  }
+  /**
+   * Show what has been played this deal: a peek at the last completed
+   * trick and, when the room allows it, every card played so far
+   * grouped by suit.
+   */
+  function updateReviewPanel() {
+    reviewPanel.classList.toggle('hidden', stage !== 'playing');
+    const last = playedTricks[playedTricks.length - 1];
+    lastTrickBtn.disabled = !last;
+    lastTrickBtn.textContent = lastTrickShown ? 'Hide last trick' : 'Last trick';
+    lastTrickDiv.classList.toggle('hidden', !last || !lastTrickShown);
+    clearChildNodes(lastTrickDiv);
+    if (last) {
+      last.cards.forEach((entry) => {
+        const div = document.createElement('div');
+        div.className = 'trick-card';
+        if (entry.player === last.winner) div.classList.add('latest');
+        const name = players[entry.player] ? players[entry.player].name : `Player ${entry.player}`;
+        div.textContent = `${name}: ${prettyCard(entry.card)}`;
+        lastTrickDiv.appendChild(div);
+      });
+    }
+    const tracking = !!rules && rules.playedCardsTracker;
+    playedCardsDiv.classList.toggle('hidden', !tracking);
+    clearChildNodes(playedCardsDiv);
+    if (!tracking) return;
+    const played = [];
+    playedTricks.forEach((t) => played.push(...t.cards.map((entry) => entry.card)));
+    played.push(...trick.map((entry) => entry.card));
+    const rankOrder = ['A', 'K', 'Q', 'J', '10', '9', '8', '7', '6', '5', '4', '3', '2'];
+    const suitMap = { S: '♠', H: '♥', D: '♦', C: '♣' };
+    Object.keys(suitMap).forEach((suit) => {
+      const ranks = played
+        .filter((card) => card.slice(-1) === suit)
+        .map((card) => card.slice(0, -1))
+        .sort((a, b) => rankOrder.indexOf(a) - rankOrder.indexOf(b));
+      const row = document.createElement('div');
+      const symbol = document.createElement('span');
+      symbol.className = `suit-${suit}`;
+      symbol.textContent = suitMap[suit];
+      row.appendChild(symbol);
+      row.appendChild(document.createTextNode(` ${ranks.join(' ') || '-'}`));
+      playedCardsDiv.appendChild(row);
+    });
   }
   function updateTrickCenter() {
     clearChildNodes(trickArea);
@@ -568,6 +1730,15 @@
    * @param {string} msg
    * @returns {string}
    */
+  // Show an announcement above the hand for a few seconds. It survives
+  // the log being cleared when the next deal starts.
+  let noticeTimeout = null;
+  function showNotice(msg, ms = 6000) {
+    noticeDiv.textContent = msg;
+    noticeDiv.classList.remove('hidden');
+    clearTimeout(noticeTimeout);
+    noticeTimeout = setTimeout(() => noticeDiv.classList.add('hidden'), ms);
+  }
   function replacePlayerPlaceholders(msg) {
     if (!msg) return msg;
     return msg.replace(/player\s(\d+)/gi, (_, num) => {
@@ -592,6 +1763,19 @@
     scoreboardDiv.textContent = '';
     biddingPanel.classList.add('hidden');
     callCardPanel.classList.add('hidden');
+    washPanel.classList.add('hidden');
+    claim = null;
+    claimPanel.classList.add('hidden');
+    auction = [];
+    updateAuctionTable();
+    playedTricks = [];
+    lastTrickShown = false;
+    updateReviewPanel();
+    selectedCard = null;
+    queuedCard = null;
+    paused = false;
+    pauseVotes = [];
+    updatePausePanel();
     updatePlayersUI();
   }
 
@@ -601,17 +1785,106 @@
   // changes or elements are not present.
   if (createBtn) {
     createBtn.addEventListener('click', () => {
-      const name = playerNameInput?.value?.trim?.();
-      if (!name) {
-        alert('Please enter your name');
+      if (!account) {
+        alert('Please log in to play');
         return;
       }
       startBackgroundMusic();
-      socket.emit('createRoom', { name });
+      socket.emit('createRoom', {
+        private: privateRoomInput.checked,
+        password: roomPasswordInput.value || undefined,
+      });
     });
   }
   if (joinBtn) {
     joinBtn.addEventListener('click', () => {
+      const code = roomCodeInput?.value?.trim?.().toUpperCase?.() || '';
+      if (!account) {
+        alert('Please log in to play');
+        return;
+      }
+      if (!code) {
+        alert('Please enter or select a room code');
+        return;
+      }
+      startBackgroundMusic();
+      currentRoomCode = code;
+      socket.emit('joinRoom', { roomCode: code, password: roomPasswordInput.value });
+    });
+  }
+  if (chatPanel) {
+    document.getElementById('chatSendBtn').addEventListener('click', () => {
+      const text = chatInput.value.trim();
+      if (!text) return;
+      sendChat({ text });
+      chatInput.value = '';
+    });
+    chatInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') document.getElementById('chatSendBtn').click();
+    });
+    chatPanel.querySelectorAll('[data-reaction]').forEach((btn) => {
+      btn.addEventListener('click', () => sendChat({ reaction: btn.dataset.reaction }));
+    });
+  }
+  if (inviteLinkDiv) {
+    document.getElementById('copyInviteBtn').addEventListener('click', () => {
+      // The clipboard needs a secure context; fall back to showing the link
+      if (!navigator.clipboard) {
+        alert(inviteLinkAnchor.href);
+        return;
+      }
+      navigator.clipboard.writeText(inviteLinkAnchor.href).then(
+        () => (lobbyMessageDiv.textContent = 'Invite link copied.'),
+        () => alert(inviteLinkAnchor.href),
+      );
+    });
+  }
+  // Opened through an invite link (/r/ABCDE): fill in the room code
+  const inviteMatch = location.pathname.match(/^\/r\/([A-Za-z0-9]{5})\/?$/);
+  if (inviteMatch && roomCodeInput) {
+    roomCodeInput.value = inviteMatch[1].toUpperCase();
+    lobbyMessageDiv.textContent = `You have been invited to room ${roomCodeInput.value}. Log in and press Join Room.`;
+  }
+  if (loginForm) {
+    const submitLogin = (event) => {
+      const username = loginUsernameInput.value.trim();
+      const password = loginPasswordInput.value;
+      if (!username || !password) {
+        alert('Please enter a username and password');
+        return;
+      }
+      socket.emit(event, { username, password }, (res) => {
+        if (!res || !res.ok) {
+          alert(res ? res.error : 'Could not log in');
+          return;
+        }
+        loginPasswordInput.value = '';
+        saveLogin(res.token);
+        setAccount(res.user);
+      });
+    };
+    document.getElementById('loginBtn').addEventListener('click', () => submitLogin('login'));
+    document.getElementById('registerBtn').addEventListener('click', () => submitLogin('register'));
+    document.getElementById('logoutBtn').addEventListener('click', () => {
+      socket.emit('logout', { token: loadLogin() });
+      clearLogin();
+      setAccount(null);
+    });
+  }
+  if (replayPanel) {
+    replayDealSelect.addEventListener('change', () => selectReplayDeal(Number(replayDealSelect.value)));
+    document.getElementById('replayPrevBtn').addEventListener('click', () => {
+      if (replayStep > 0) replayStep--;
+      renderReplay();
+    });
+    document.getElementById('replayNextBtn').addEventListener('click', () => {
+      if (replayStep < replaySteps.length - 1) replayStep++;
+      renderReplay();
+    });
+    document.getElementById('replayCloseBtn').addEventListener('click', () => replayPanel.classList.add('hidden'));
+  }
+  if (watchBtn) {
+    watchBtn.addEventListener('click', () => {
       const name = playerNameInput?.value?.trim?.();
       const code = roomCodeInput?.value?.trim?.().toUpperCase?.() || '';
       if (!name) {
@@ -622,9 +1895,7 @@
         alert('Please enter or select a room code');
         return;
       }
-      startBackgroundMusic();
-      currentRoomCode = code;
-      socket.emit('joinRoom', { roomCode: code, name });
+      socket.emit('spectateRoom', { roomCode: code, name, password: roomPasswordInput.value });
     });
   }
   if (readyBtn) {
@@ -640,7 +1911,7 @@
       const turnSeconds = parseInt(timerSelect?.value || '0', 10);
       socket.emit(
         'startGame',
-        { roomCode: currentRoomCode, turnMs: turnSeconds * 1000 },
+        { roomCode: currentRoomCode, turnMs: turnSeconds * 1000, rules: readRulesForm(), seed: seedInput?.value?.trim?.() },
         (res) => {
           if (!res || !res.ok) {
             alert(res?.error || 'Failed to start game');
@@ -649,12 +1920,104 @@
       );
     });
   }
+  if (addBotBtn) {
+    addBotBtn.addEventListener('click', requestAddBot);
+  }
+  // Host edits to the house rules are sent straight away so everyone sees them
+  Object.values(ruleInputs).forEach((input) => {
+    if (!input) return;
+    input.addEventListener('change', () => {
+      if (!currentRoomCode || !isHost) return;
+      socket.emit('updateSettings', { roomCode: currentRoomCode, rules: readRulesForm() }, (res) => {
+        if (!res || !res.ok) {
+          alert(res?.error || 'Failed to update rules');
+          updateRulesPanel();
+        }
+      });
+    });
+  });
   if (passBidBtn) {
     passBidBtn.addEventListener('click', () => {
       if (!currentRoomCode) return;
       socket.emit('placeBid', { roomCode: currentRoomCode, level: 0, suit: null });
     });
   }
+  if (washBtn) {
+    washBtn.addEventListener('click', () => {
+      if (!currentRoomCode) return;
+      socket.emit('requestWash', { roomCode: currentRoomCode });
+      washPanel.classList.add('hidden');
+    });
+  }
+  if (keepHandBtn) {
+    keepHandBtn.addEventListener('click', () => {
+      if (!currentRoomCode) return;
+      socket.emit('declineWash', { roomCode: currentRoomCode });
+      washPanel.classList.add('hidden');
+    });
+  }
+  if (claimBtn) {
+    claimBtn.addEventListener('click', () => {
+      if (!currentRoomCode) return;
+      const tricks = parseInt(claimTricksInput.value, 10);
+      if (!Number.isInteger(tricks)) return;
+      socket.emit('claimTricks', { roomCode: currentRoomCode, tricks });
+    });
+  }
+  playPrefs = loadPlayPrefs();
+  if (confirmPlayInput) {
+    confirmPlayInput.checked = playPrefs.confirmPlay;
+    preselectInput.checked = playPrefs.preselect;
+    [confirmPlayInput, preselectInput].forEach((input) => {
+      input.addEventListener('change', () => {
+        playPrefs = { confirmPlay: confirmPlayInput.checked, preselect: preselectInput.checked };
+        if (!playPrefs.preselect) queuedCard = null;
+        savePlayPrefs();
+        updateHandUI();
+      });
+    });
+    playSelectedBtn.addEventListener('click', () => {
+      if (selectedCard) playCard(selectedCard);
+    });
+  }
+  if (trickArea) {
+    trickArea.addEventListener('dragover', (e) => {
+      if (!isMyTurnToPlay()) return;
+      e.preventDefault();
+      trickArea.classList.add('drop-target');
+    });
+    trickArea.addEventListener('dragleave', () => trickArea.classList.remove('drop-target'));
+    trickArea.addEventListener('drop', (e) => {
+      e.preventDefault();
+      trickArea.classList.remove('drop-target');
+      playCard(e.dataTransfer.getData('text/plain'));
+    });
+  }
+  document.addEventListener('keydown', handleHandKey);
+  if (pauseVoteBtn) {
+    pauseVoteBtn.addEventListener('click', () => {
+      if (!currentRoomCode) return;
+      socket.emit('votePause', { roomCode: currentRoomCode, pause: !paused });
+    });
+  }
+  if (lastTrickBtn) {
+    lastTrickBtn.addEventListener('click', () => {
+      lastTrickShown = !lastTrickShown;
+      updateReviewPanel();
+    });
+  }
+  if (acceptClaimBtn) {
+    acceptClaimBtn.addEventListener('click', () => {
+      if (!currentRoomCode) return;
+      socket.emit('answerClaim', { roomCode: currentRoomCode, accept: true });
+    });
+  }
+  if (rejectClaimBtn) {
+    rejectClaimBtn.addEventListener('click', () => {
+      if (!currentRoomCode) return;
+      socket.emit('answerClaim', { roomCode: currentRoomCode, accept: false });
+    });
+  }
   if (confirmCallBtn) {
     confirmCallBtn.addEventListener('click', () => {
       if (!currentRoomCode) return;
@@ -684,6 +2047,173 @@
   // --- Socket event handlers ---
   socket.on('connect', () => {
     myId = socket.id;
+    refreshLeaderboard();
+    // Log back in to the saved account; a new socket starts signed out
+    const loginToken = loadLogin();
+    if (loginToken) {
+      socket.emit('login', { token: loginToken }, (res) => {
+        if (res && res.ok) {
+          setAccount(res.user);
+        } else {
+          clearLogin();
+          setAccount(null);
+        }
+      });
+    }
+    // Try to reclaim a seat held for us after a refresh or dropped connection
+    const session = loadSession();
+    if (session && session.roomCode && session.token) {
+      socket.emit('rejoinRoom', { roomCode: session.roomCode, token: session.token }, (res) => {
+        if (!res || !res.ok) clearSession();
+      });
+    }
+  });
+  // The host removed us: back to an empty lobby
+  socket.on('kicked', () => {
+    clearSession();
+    currentRoomCode = null;
+    myPos = null;
+    isHost = false;
+    players = [];
+    stage = 'lobby';
+    scoreHistory = [];
+    matchResult = null;
+    resetGameUI();
+    gameDiv.classList.add('hidden');
+    lobbyDiv.classList.remove('hidden');
+    [readyBtn, startBtn, timerSelect, seedInput, addBotBtn, rulesPanel, playersHeading, currentPlayersDiv].forEach(
+      (el) => el?.classList?.add('hidden'),
+    );
+    updateInviteLink();
+    chatPanel.classList.add('hidden');
+    alert('The host removed you from the room.');
+  });
+  // Sent on entering a room: the conversation so far
+  socket.on('chatHistory', ({ messages }) => {
+    clearChildNodes(chatMessagesDiv);
+    messages.forEach(appendChatMessage);
+    chatPanel.classList.remove('hidden');
+    updateChatControls();
+  });
+  socket.on('chatMessage', appendChatMessage);
+  socket.on('roomSettings', ({ rules: roomRules }) => {
+    rules = roomRules;
+    updateRulesPanel();
+    updateChatControls();
+    updateReviewPanel();
+  });
+  socket.on('joinedRoom', ({ roomCode, pos, token }) => {
+    isSpectator = false;
+    currentRoomCode = roomCode;
+    myPos = pos;
+    saveSession({ roomCode, token });
+  });
+  // Full table state pushed after reclaiming a seat
+  socket.on('gameState', (state) => {
+    currentRoomCode = state.roomCode;
+    isSpectator = !!state.spectator;
+    myPos = state.pos;
+    hostId = state.hostId;
+    isHost = myId === hostId;
+    stage = state.stage;
+    playersTricks = state.playersTricks || [0, 0, 0, 0];
+    playersSets = state.playersSets || [0, 0, 0, 0];
+    scoreHistory = state.history || [];
+    players = state.players.map((p) => ({ ...p, tricks: playersTricks[p.pos] || 0 }));
+    const me = players.find((p) => p.pos === myPos);
+    ready = !!(me && me.ready);
+    hand = state.hand || [];
+    highestBid = state.highestBid;
+    declarer = state.declarer;
+    biddingTurn = state.biddingTurn;
+    playingTurn = state.playingTurn;
+    trumpSuit = state.trumpSuit;
+    trumpBroken = !!state.trumpBroken;
+    rules = state.rules || rules;
+    dealCommitment = state.commitment;
+    dealtHand = [];
+    matchResult = state.matchResult || null;
+    if (state.autoDealPaused) autoDealState = 'paused';
+    else autoDealState = state.nextDealRemainingMs !== null && state.nextDealRemainingMs !== undefined ? 'scheduled' : null;
+    callCard = state.callCard;
+    partnerPos = state.partnerRevealed ? state.partnerPos : null;
+    trick = state.currentTrick || [];
+    claim = state.claim || null;
+    auction = state.auction || [];
+    playedTricks = state.playedTricks || [];
+    paused = !!state.paused;
+    pauseVotes = state.pauseVotes || [];
+    pauseVotesNeeded = state.pauseVotesNeeded || 1;
+    stopCountdown();
+    biddingPanel.classList.add('hidden');
+    callCardPanel.classList.add('hidden');
+    washPanel.classList.add('hidden');
+    updateSpectatorList(state.spectators || []);
+    if (state.allHands) showAllHands(state.allHands);
+    else allHandsDiv.classList.add('hidden');
+    if (stage === 'waiting' && scoreHistory.length === 0) {
+      // Nothing dealt yet: back to the room lobby
+      lobbyDiv.classList.remove('hidden');
+      gameDiv.classList.add('hidden');
+      readyBtn?.classList?.toggle('hidden', isSpectator);
+      startBtn?.classList?.toggle('hidden', !isHost);
+      timerSelect?.classList?.toggle('hidden', !isHost);
+      seedInput?.classList?.toggle('hidden', !isHost);
+      playersHeading?.classList?.remove('hidden');
+      currentPlayersDiv?.classList?.remove('hidden');
+      updateCurrentPlayers(players);
+      updateRulesPanel();
+      updateInviteLink();
+      return;
+    }
+    lobbyDiv.classList.add('hidden');
+    gameDiv.classList.remove('hidden');
+    updateHandUI();
+    updateTrickCenter();
+    if (stage === 'waiting' || stage === 'finished') {
+      updateScoreboard(scoreHistory, playersSets);
+    } else {
+      scoreboardDiv.textContent = '';
+    }
+    if (stage === 'bidding') {
+      if (highestBid && players[state.highestBidder]) {
+        const suitMap = { C: '♣', D: '♦', H: '♥', S: '♠', N: 'NT' };
+        bidStatusDiv.textContent = `${players[state.highestBidder].name} bids ${highestBid.level}${suitMap[highestBid.suit] || ''}`;
+      }
+      if (myPos === biddingTurn) {
+        biddingPanel.classList.remove('hidden');
+        updateBidButtons();
+      }
+    } else if (stage === 'callCard' && myPos === declarer) {
+      callCardPanel.classList.remove('hidden');
+    } else if (stage === 'wash' && state.washEligible) {
+      washInfoDiv.textContent = 'Your hand is weak enough to be washed.';
+      washPanel.classList.remove('hidden');
+    }
+    if (state.isPartner) {
+      showMessage('You are the partner.');
+    }
+    if (paused) {
+      showPaused(state.pausedTurnMs);
+    } else if (state.turnRemainingMs) {
+      startCountdown(state.turnRemainingMs);
+    } else if (state.nextDealRemainingMs) {
+      startCountdown(state.nextDealRemainingMs);
+    }
+    showMessage(isSpectator ? `You are watching room ${currentRoomCode}.` : 'Reconnected to the game.');
+    updatePlayersUI();
+    updateBidTrumpInfo();
+    updateAuctionTable();
+    updateReviewPanel();
+    updatePausePanel();
+    updateClaimPanel();
+  });
+  socket.on('ratingsUpdated', ({ ratings }) => {
+    const changes = ratings
+      .filter(Boolean)
+      .map((r) => `${r.name} ${r.rating} (${r.change >= 0 ? '+' : ''}${r.change})`);
+    if (changes.length) showMessage(`Ratings: ${changes.join(', ')}`);
+    refreshLeaderboard();
   });
   socket.on('roomsList', ({ rooms }) => {
     updateLobbyRooms(rooms);
@@ -693,10 +2223,9 @@
     roomCodeInput.value = roomCode;
     showMessage(`Room ${roomCode} created. You have been added as host.`);
     // Automatically join the newly created room as the host
-    const name = playerNameInput?.value?.trim?.();
-    if (name) {
+    if (account) {
       currentRoomCode = roomCode;
-      socket.emit('joinRoom', { roomCode, name });
+      socket.emit('joinRoom', { roomCode });
     }
   });
   socket.on('errorMessage', ({ message }) => {
@@ -716,24 +2245,28 @@
     }
     // In lobby/waiting stage, show ready/start controls and list players
     if (stage === 'lobby' || stage === 'waiting') {
-      readyBtn?.classList?.remove('hidden');
+      readyBtn?.classList?.toggle('hidden', isSpectator);
       // Only host sees start button and timer
       if (isHost) {
         startBtn?.classList?.remove('hidden');
         timerSelect?.classList?.remove('hidden');
+        seedInput?.classList?.remove('hidden');
       } else {
         startBtn?.classList?.add('hidden');
         timerSelect?.classList?.add('hidden');
+        seedInput?.classList?.add('hidden');
       }
       // Show or hide current players list depending on whether in a room
       if (currentRoomCode) {
         playersHeading?.classList?.remove('hidden');
         currentPlayersDiv?.classList?.remove('hidden');
         updateCurrentPlayers(players);
+        updateRulesPanel();
       } else {
         playersHeading?.classList?.add('hidden');
         currentPlayersDiv?.classList?.add('hidden');
       }
+      updateInviteLink();
     }
     updatePlayersUI();
     // Update playersSets from server data if available
@@ -742,11 +2275,16 @@
       updateScoreboard(scoreHistory, playersSets);
     }
   });
-  socket.on('dealStarted', ({ players: pList, dealer }) => {
+  socket.on('dealStarted', ({ players: pList, dealer, commitment, hostSeed }) => {
     stage = 'bidding';
+    dealCommitment = commitment;
+    dealtHand = [];
+    autoDealState = null;
+    allHandsDiv.classList.add('hidden');
     players = pList;
     callCard = null;
     trumpSuit = null;
+    trumpBroken = false;
     partnerPos = null;
     highestBid = null;
     declarer = null;
@@ -765,14 +2303,38 @@
     // Replace dealer index with name
     const dealerName = pList && pList[dealer] ? pList[dealer].name : `Player ${dealer}`;
     showMessage(`New deal started. Dealer is ${dealerName}.`);
+    showMessage(`Shuffle commitment: ${commitment}`);
+    if (hostSeed) showNotice('This deal was shuffled from a seed chosen by the host.');
     // Hide contract/trump info until a contract is established
     updateBidTrumpInfo();
+    updateAuctionTable();
   });
   socket.on('dealCards', ({ hand: h }) => {
     hand = h;
+    dealtHand = h.slice();
     updateHandUI();
   });
+  // Weak hands may ask for a redeal before bidding starts
+  socket.on('washWindow', ({ ms, eligible, points }) => {
+    stage = 'wash';
+    if (eligible) {
+      washInfoDiv.textContent = `Your hand has only ${points} high-card points.`;
+      washPanel.classList.remove('hidden');
+    } else {
+      showMessage('Waiting for players with weak hands to decide on a wash...');
+    }
+    startCountdown(ms);
+  });
+  socket.on('handWashed', ({ player: p, hand: washedHand, points }) => {
+    washPanel.classList.add('hidden');
+    const name = players[p] ? players[p].name : `Player ${p}`;
+    showNotice(`${name} washed a ${points}-point hand: ${washedHand.map(prettyCard).join(' ')}`);
+  });
   socket.on('biddingTurn', ({ pos, turnMs }) => {
+    if (stage === 'wash') {
+      stage = 'bidding';
+      washPanel.classList.add('hidden');
+    }
     biddingTurn = pos;
     const bidderName = players[pos] ? players[pos].name : `Player ${pos}`;
     showMessage(`${bidderName} to bid.`);
@@ -784,6 +2346,7 @@
       biddingPanel.classList.add('hidden');
     }
     updatePlayersUI();
+    updateAuctionTable();
     // Start countdown timer if provided
     if (typeof turnMs === 'number') {
       startCountdown(turnMs);
@@ -792,6 +2355,7 @@
     }
   });
   socket.on('bidUpdate', ({ bidder, bid, passes }) => {
+    auction.push({ player: bidder, bid });
     // Update highest bid string
     if (bid) {
       highestBid = bid;
@@ -805,11 +2369,12 @@
     // Refresh bid buttons to disable bids lower than new highest bid
     updateBidButtons();
   });
-  socket.on('biddingComplete', ({ highestBid: bid, declarer: dec, trumpSuit }) => {
+  socket.on('biddingComplete', ({ highestBid: bid, declarer: dec, trumpSuit: trump, auction: calls }) => {
     stage = 'callCard';
     declarer = dec;
     highestBid = bid;
-    trumpSuit = trumpSuit;
+    trumpSuit = trump;
+    auction = calls;
     const suitMap = { C: '♣', D: '♦', H: '♥', S: '♠', N: 'NT' };
     const declarerName = players[dec] ? players[dec].name : `Player ${dec}`;
     let contractStr;
@@ -827,10 +2392,14 @@
     showMessage(`Bidding complete. Declarer is ${declarerName}, contract ${contractStr}, trump ${trumpStr}.`);
     biddingPanel.classList.add('hidden');
     updateBidTrumpInfo();
+    updateAuctionTable();
   });
-  socket.on('yourTurnToCall', () => {
+  socket.on('yourTurnToCall', ({ allowSelfCall } = {}) => {
     // Prompt declarer to call a card
     showMessage('Select rank and suit of your partner card.');
+    if (allowSelfCall === false) {
+      showMessage('House rules: you may not call a card in your own hand.');
+    }
     callCardPanel.classList.remove('hidden');
   });
   socket.on('waitingForCall', () => {
@@ -859,11 +2428,21 @@
   });
   socket.on('playTurn', ({ pos, turnMs }) => {
     playingTurn = pos;
+    // Send the card queued while waiting, if it can still be played
+    if (pos === myPos && queuedCard && !claim) {
+      const card = queuedCard;
+      if (!playCard(card)) {
+        queuedCard = null;
+        showNotice(`${prettyCard(card)} can no longer be played; choose another card.`);
+      }
+    }
     const playerName = players[pos] ? players[pos].name : `Player ${pos}`;
     showMessage(`${playerName} to play.`);
     // Hide bidding panel
     biddingPanel.classList.add('hidden');
     updatePlayersUI();
+    updateHandUI();
+    updateClaimPanel();
     // Start countdown timer if provided
     if (typeof turnMs === 'number') {
       startCountdown(turnMs);
@@ -871,6 +2450,11 @@
       stopCountdown();
     }
   });
+  socket.on('trumpBroken', ({ player: p }) => {
+    trumpBroken = true;
+    const breakerName = players[p] ? players[p].name : `Player ${p}`;
+    showMessage(`Trump has been broken by ${breakerName}.`);
+  });
   socket.on('cardPlayed', ({ player: p, card, remaining }) => {
     // Update trick array and player's card count
     trick.push({ player: p, card });
@@ -883,6 +2467,8 @@
     }
     updateTrickCenter();
     updatePlayersUI();
+    updateClaimPanel();
+    updateReviewPanel();
   });
   socket.on('trickComplete', ({ trick: completedTrick, winner, declarerTeamTricks, defenderTeamTricks, playersTricks: pTricks }) => {
     const winnerName = players[winner] ? players[winner].name : `Player ${winner}`;
@@ -890,6 +2476,8 @@
     // Reset trick state after short delay
     trick = [];
     updateTrickCenter();
+    playedTricks.push({ cards: completedTrick, winner });
+    updateReviewPanel();
     // Show current trick totals in message area
     showMessage(`Declarer team now has ${declarerTeamTricks} trick${declarerTeamTricks === 1 ? '' : 's'}, defenders have ${defenderTeamTricks}.`);
     // Update per-player trick counts if provided
@@ -902,6 +2490,35 @@
     }
     updatePlayersUI();
   });
+  socket.on('claimMade', (made) => {
+    claim = made;
+    stopCountdown();
+    const name = players[made.claimant] ? players[made.claimant].name : `Player ${made.claimant}`;
+    showMessage(`${name} claims ${made.tricks} of the remaining ${made.remaining} tricks.`);
+    updateHandUI();
+    updateClaimPanel();
+  });
+  socket.on('claimAccepted', ({ by }) => {
+    if (!claim) return;
+    claim.accepted.push(by);
+    updateClaimPanel();
+  });
+  socket.on('claimRejected', ({ by }) => {
+    claim = null;
+    const name = players[by] ? players[by].name : `Player ${by}`;
+    showMessage(`${name} rejected the claim. Play continues.`);
+    updateHandUI();
+    updateClaimPanel();
+  });
+  socket.on('claimSettled', ({ claimant, tricks, playersTricks: pTricks }) => {
+    claim = null;
+    const name = players[claimant] ? players[claimant].name : `Player ${claimant}`;
+    showMessage(`Claim accepted: ${name} takes ${tricks} of the remaining tricks.`);
+    playersTricks = pTricks;
+    players.forEach((pl, i) => {
+      pl.tricks = pTricks[i] || 0;
+    });
+  });
   socket.on('roundFinished', ({
     declarer: dec,
     partner,
@@ -909,20 +2526,17 @@
     defenderTeamTricks,
     contractMade,
     highestBid: bid,
+    solo,
+    points,
     playersSets: pSets,
     history,
   }) => {
-    const suitMap = { C: '♣', D: '♦', H: '♥', S: '♠', N: 'NT' };
     const declarerName = players[dec] ? players[dec].name : `Player ${dec}`;
     const partnerName = partner >= 0 && players[partner] ? players[partner].name : '-';
-    let contractStr;
-    if (bid.suit === 'N') {
-      contractStr = `${bid.level}NT`;
-    } else {
-      contractStr = `${bid.level}${suitMap[bid.suit]}`;
-    }
+    const contractStr = formatContract(bid);
+    const declarerPoints = Array.isArray(points) ? points[dec] : 0;
     showMessage(
-      `Round finished. Declarer ${declarerName} with partner ${partnerName} took ${declarerTeamTricks} tricks against ${defenderTeamTricks}. Contract ${contractStr} was ${contractMade ? 'made' : 'not made'}.`,
+      `Round finished. Declarer ${declarerName} with partner ${partnerName} took ${declarerTeamTricks} tricks against ${defenderTeamTricks}. Contract ${contractStr}${solo ? ' (solo)' : ''} was ${contractMade ? 'made' : 'not made'}, scoring ${declarerPoints} for the declarer.`,
     );
     // Update local sets and round history
     if (Array.isArray(pSets) && pSets.length === 4) {
@@ -931,6 +2545,7 @@
     if (Array.isArray(history)) {
       scoreHistory = history;
     }
+    if (!isSpectator) refreshAccountStats();
     // Reset call card and partner for next round display
     callCard = null;
     partnerPos = null;
@@ -944,4 +2559,55 @@
     updatePlayersUI();
     updateBidTrumpInfo();
   });
+  socket.on('seedRevealed', ({ seed, commitment }) => {
+    verifyDeal(seed, commitment);
+  });
+  socket.on('spectatorList', ({ spectators }) => {
+    updateSpectatorList(spectators);
+  });
+  socket.on('spectatorHands', ({ hands }) => {
+    showAllHands(hands);
+  });
+  socket.on('nextDealScheduled', ({ ms }) => {
+    autoDealState = 'scheduled';
+    startCountdown(ms);
+    updateScoreboard(scoreHistory, playersSets);
+  });
+  socket.on('pauseUpdate', ({ paused: nowPaused, votes, needed, remainingMs }) => {
+    const changed = nowPaused !== paused;
+    paused = nowPaused;
+    pauseVotes = votes;
+    pauseVotesNeeded = needed;
+    if (changed && paused) {
+      showMessage('The game is paused.');
+      showPaused(remainingMs);
+    } else if (changed) {
+      showMessage('The game has resumed.');
+      stopCountdown();
+      startCountdown(remainingMs);
+    }
+    updatePausePanel();
+    updateHandUI();
+  });
+  socket.on('autoDealPaused', () => {
+    autoDealState = 'paused';
+    stopCountdown();
+    updateScoreboard(scoreHistory, playersSets);
+  });
+  socket.on('matchFinished', (result) => {
+    autoDealState = null;
+    matchResult = result;
+    stage = 'finished';
+    updateScoreboard(scoreHistory, playersSets);
+  });
+  socket.on('rematchStarted', () => {
+    matchResult = null;
+    autoDealState = null;
+    stage = 'waiting';
+    scoreHistory = [];
+    playersSets = [0, 0, 0, 0];
+    ready = false;
+    updateScoreboard(scoreHistory, playersSets);
+  });
+
 })();
\ No newline at end of file
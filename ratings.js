@@ -0,0 +1,155 @@
+/**
+ * Elo-style player ratings across games, keyed by player name. They
+ * are kept in Redis when REDIS_URL is set, so every replica rates and
+ * ranks from the same numbers, and otherwise in ratings.json in the
+ * data directory.
+ *
+ * Partnerships are secret during play and change every deal, so each
+ * deal is rated as a one-off match between the two sides it ended
+ * with: declarer and partner against the other two, or a solo declarer
+ * against all three. A side's strength is the average rating of its
+ * members. The side's rating change is split evenly between its
+ * members, which keeps every deal zero-sum even when a solo declarer
+ * faces three defenders.
+ */
+
+const { openDataFile } = require('./datafile');
+
+const INITIAL_RATING = 1500;
+// Rating points at stake for a two-player side in an even deal
+const K_FACTOR = 32;
+const LEADERBOARD_SIZE = 50;
+
+const RATINGS_KEY = 'bridge:ratings';
+const PLAYER_PREFIX = 'bridge:rating:';
+
+/**
+ * Chance that a side rated `rating` beats one rated `opponent`.
+ *
+ * @param {number} rating
+ * @param {number} opponent
+ * @returns {number} between 0 and 1
+ */
+function expectedScore(rating, opponent) {
+  return 1 / (1 + 10 ** ((opponent - rating) / 400));
+}
+
+/**
+ * Keep ratings in Redis: the sorted set `bridge:ratings` ranks player
+ * keys by rating and the hash `bridge:rating:<key>` holds each
+ * player's name and deal counts. Changes are applied as increments so
+ * deals finishing on different replicas at once are all counted.
+ *
+ * @param {import('redis').RedisClientType} client
+ */
+function createRedisRatingBackend(client) {
+  async function getPlayers(keys) {
+    const scores = await client.zMScore(RATINGS_KEY, keys);
+    return Promise.all(
+      keys.map(async (key, i) => {
+        if (scores[i] === null) return null;
+        const info = await client.hGetAll(PLAYER_PREFIX + key);
+        return { name: info.name, rating: Number(scores[i]), deals: Number(info.deals), wins: Number(info.wins) };
+      }),
+    );
+  }
+
+  async function addResult(key, name, change, won) {
+    await client.zAdd(RATINGS_KEY, { score: INITIAL_RATING, value: key }, { condition: 'NX' });
+    await client.zIncrBy(RATINGS_KEY, change, key);
+    await client.hSet(PLAYER_PREFIX + key, 'name', name);
+    await client.hIncrBy(PLAYER_PREFIX + key, 'deals', 1);
+    await client.hIncrBy(PLAYER_PREFIX + key, 'wins', won ? 1 : 0);
+  }
+
+  async function top(limit) {
+    const ranked = await client.zRangeWithScores(RATINGS_KEY, 0, limit - 1, { REV: true });
+    const players = await getPlayers(ranked.map((entry) => entry.value));
+    return players.filter(Boolean);
+  }
+
+  return { getPlayers, addResult, top };
+}
+
+/**
+ * Keep ratings in a JSON file in dataDir, read once on creation.
+ *
+ * @param {string} dataDir
+ */
+function createFileRatingBackend(dataDir) {
+  const { data, save } = openDataFile(dataDir, 'ratings.json', { players: {} });
+
+  async function getPlayers(keys) {
+    return keys.map((key) => (data.players[key] ? { ...data.players[key] } : null));
+  }
+
+  async function addResult(key, name, change, won) {
+    const player = data.players[key] || { name, rating: INITIAL_RATING, deals: 0, wins: 0 };
+    player.rating += change;
+    player.deals++;
+    if (won) player.wins++;
+    data.players[key] = player;
+    await save();
+  }
+
+  async function top(limit) {
+    return Object.values(data.players)
+      .sort((a, b) => b.rating - a.rating)
+      .slice(0, limit);
+  }
+
+  return { getPlayers, addResult, top };
+}
+
+/**
+ * Create a rating store on top of one of the backends above.
+ *
+ * @param {object} backend
+ */
+function createRatingStore(backend) {
+  /**
+   * Rate one finished deal. Seats without a name (bots) play at the
+   * initial rating and are not recorded.
+   *
+   * @param {Array<string|null>} names player name per seat
+   * @param {number[]} declarerSide seats of declarer and partner
+   * @param {boolean} contractMade whether the declarer side won
+   * @returns {Promise<Array<{name:string, rating:number, change:number}|null>>}
+   *   new rating per seat, null for unrated seats
+   */
+  async function recordDeal(names, declarerSide, contractMade) {
+    const keys = names.map((name) => (name ? name.toLowerCase() : null));
+    const known = keys.filter(Boolean);
+    const stored = await backend.getPlayers(known);
+    const ratingOf = new Map(known.map((key, i) => [key, stored[i] ? stored[i].rating : INITIAL_RATING]));
+    const ratings = keys.map((key) => (key ? ratingOf.get(key) : INITIAL_RATING));
+    const defenderSide = names.map((_, pos) => pos).filter((pos) => !declarerSide.includes(pos));
+    const average = (side) => side.reduce((sum, pos) => sum + ratings[pos], 0) / side.length;
+    const expected = expectedScore(average(declarerSide), average(defenderSide));
+    // Total points that move from one side to the other
+    const swing = 2 * K_FACTOR * ((contractMade ? 1 : 0) - expected);
+    return Promise.all(
+      names.map(async (name, pos) => {
+        if (!name) return null;
+        const declaring = declarerSide.includes(pos);
+        const change = declaring ? swing / declarerSide.length : -swing / defenderSide.length;
+        await backend.addResult(keys[pos], name, change, declaring === contractMade);
+        return { name, rating: Math.round(ratings[pos] + change), change: Math.round(change) };
+      }),
+    );
+  }
+
+  /**
+   * Highest rated players first.
+   *
+   * @returns {Promise<Array<{name:string, rating:number, deals:number, wins:number}>>}
+   */
+  async function leaderboard(limit = LEADERBOARD_SIZE) {
+    const players = await backend.top(limit);
+    return players.map((p) => ({ name: p.name, rating: Math.round(p.rating), deals: p.deals, wins: p.wins }));
+  }
+
+  return { recordDeal, leaderboard };
+}
+
+module.exports = { createRatingStore, createFileRatingBackend, createRedisRatingBackend };
@@ -1,6 +1,18 @@
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createRedisStore, createMemoryStore } = require('./store');
+const { dealsToPbn } = require('./pbn');
+const { createAccountStore, createFileAccountBackend, createRedisAccountBackend } = require('./accounts');
+const { createRatingStore, createFileRatingBackend, createRedisRatingBackend } = require('./ratings');
+const { prepareChatMessage } = require('./chat');
+const { ERROR_CODES, validateEvent, createRateLimiter } = require('./validation');
+const game = require('./game');
+const { WASH_WINDOW_MS, canWash, formatCard, legalCardIndices } = game;
+const { chooseBotBid, chooseBotCallCard, chooseBotCard } = require('./bots');
 
 // Create the Express application and HTTP server
 const app = express();
@@ -27,850 +39,1798 @@ function generateRoomCode(length = 5) {
   return code;
 }
 
-// Suit ranking used for bidding comparison: Clubs < Diamonds < Hearts < Spades
-// Suit ranking used for bidding comparison: Clubs < Diamonds < Hearts < Spades < No Trump
-const SUIT_RANKING = {
-  C: 0,
-  D: 1,
-  H: 2,
-  S: 3,
-  N: 4, // No Trump ranks above Spades
+// House rules used when the host does not choose otherwise
+const DEFAULT_RULES = {
+  // Who leads the first trick in No Trump: 'left' of declarer or the 'declarer'
+  noTrumpLead: 'left',
+  // Whether the declarer may call a card they hold themselves (and play alone)
+  allowSelfCall: true,
+  // Whether trump may only be led once it has been broken
+  trumpBreaking: true,
+  // Whether a player with a weak hand may ask for a redeal before bidding
+  allowWash: false,
+  // Highest level that may be bid
+  maxBidLevel: 7,
+  // How a match ends: 'open' (never), after a number of 'rounds', or
+  // when someone reaches a number of 'points'
+  matchFormat: 'open',
+  // Rounds to play or points to reach, depending on matchFormat
+  matchTarget: 5,
+  // Whether the next deal starts by itself after a round finishes
+  autoDeal: false,
+  // How long the round result is shown before the next automatic deal
+  autoDealSeconds: 10,
+  // Whether spectators are shown every hand once a deal is over
+  spectatorsSeeHands: false,
+  // Whether spectators may use the room chat (they could relay hands)
+  spectatorChat: true,
+  // Whether players may review every card played this deal, rather
+  // than only the last trick
+  playedCardsTracker: true,
 };
 
+// Rule keys that may not change once a match is under way
+const MATCH_RULES = ['matchFormat', 'matchTarget'];
+
 /**
- * Build a new deck of 52 playing cards. Each card is an object with
- * a suit and a rank. Ranks are numbers from 2 to 14 where 14
- * represents Ace.
+ * Validate a house-rules object sent by a client. Unknown keys are
+ * rejected and missing keys keep their value from base, so a client
+ * may send only the rules it wants to change.
  *
- * @returns {Array<{suit:string,rank:number}>}
+ * @param {object} input
+ * @param {object} [base] rules to start from (defaults to DEFAULT_RULES)
+ * @returns {{rules?:object,error?:string}}
  */
-function buildDeck() {
-  const suits = ['C', 'D', 'H', 'S'];
-  const deck = [];
-  for (const suit of suits) {
-    for (let rank = 2; rank <= 14; rank++) {
-      deck.push({ suit, rank });
+function validateRules(input, base = DEFAULT_RULES) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Rules must be an object.' };
+  }
+  const rules = { ...base };
+  for (const [key, value] of Object.entries(input)) {
+    switch (key) {
+      case 'noTrumpLead':
+        if (value !== 'left' && value !== 'declarer') return { error: 'No Trump lead must be "left" or "declarer".' };
+        break;
+      case 'allowSelfCall':
+      case 'trumpBreaking':
+      case 'allowWash':
+      case 'autoDeal':
+      case 'spectatorsSeeHands':
+      case 'spectatorChat':
+      case 'playedCardsTracker':
+        if (typeof value !== 'boolean') return { error: `${key} must be true or false.` };
+        break;
+      case 'maxBidLevel':
+        if (!Number.isInteger(value) || value < 1 || value > 7) return { error: 'Bid ceiling must be between 1 and 7.' };
+        break;
+      case 'matchFormat':
+        if (!['open', 'rounds', 'points'].includes(value)) {
+          return { error: 'Match format must be "open", "rounds" or "points".' };
+        }
+        break;
+      case 'autoDealSeconds':
+        if (!Number.isInteger(value) || value < 3 || value > 120) {
+          return { error: 'Auto deal delay must be between 3 and 120 seconds.' };
+        }
+        break;
+      case 'matchTarget':
+        if (!Number.isInteger(value) || value < 1 || value > 10000) {
+          return { error: 'Match target must be between 1 and 10000.' };
+        }
+        break;
+      default:
+        return { error: `Unknown rule ${key}.` };
     }
+    rules[key] = value;
   }
-  return deck;
+  return { rules };
 }
 
+// Room state lives in Redis when REDIS_URL is set so every replica
+// sees every room; otherwise an in-process store is used. See start().
+let store = createMemoryStore();
+// Player accounts and ratings are kept in Redis alongside room state
+// when it is configured, and otherwise on local disk. See start().
+const dataDir = process.env.DATA_DIR || __dirname + '/data';
+let accounts = createAccountStore(createFileAccountBackend(dataDir));
+let ratings = createRatingStore(createFileRatingBackend(dataDir));
+
+// How often each server polls for expired turn and reconnect deadlines
+const TIMER_POLL_MS = 250;
+
+// Most spectators allowed to watch one room
+const MAX_SPECTATORS = 20;
+
+// Longest password a host may set on a room
+const MAX_ROOM_PASSWORD_LENGTH = 64;
+
+// Events a socket may send in a burst, and how many per second after
+const EVENT_BURST = 30;
+const EVENT_RATE_PER_SECOND = 10;
+
+// Chat messages kept per room and sent to anyone who joins later
+const CHAT_HISTORY_SIZE = 50;
+// Each socket may send at most CHAT_RATE_COUNT messages per window
+const CHAT_RATE_COUNT = 5;
+const CHAT_RATE_WINDOW_MS = 10000;
+
+// How long a dropped player's seat is held before a bot takes it over
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60000;
+
+// Pause before a bot acts so humans can follow what it did
+const BOT_THINK_MS = 900;
+
 /**
- * Shuffle an array in place using the Fisher–Yates algorithm.
+ * Broadcast the current list of public rooms to all connected clients,
+ * or to a single socket when one is given. An open room is any room
+ * that has fewer than 4 players and is in the waiting stage (not
+ * currently playing a round). Rooms are read from the shared store so
+ * the list covers every replica.
  *
- * @param {Array<any>} array
- * @returns {Array<any>} the same array, shuffled
+ * @param {object} [target] socket or server to emit on (defaults to io)
  */
-function shuffle(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
+async function updateRoomsList(target = io) {
+  try {
+    // Every public room can be watched; only waiting rooms with a free
+    // seat can be joined. Private rooms are reached by code or invite link.
+    const list = (await store.listRooms())
+      .filter((room) => !room.private)
+      .map((room) => ({
+        code: room.code,
+        players: room.players.length,
+        open: room.players.length < 4 && room.stage === 'waiting',
+        locked: !!room.password,
+      }));
+    target.emit('roomsList', { rooms: list });
+  } catch (err) {
+    console.error('Failed to list rooms', err);
   }
-  return array;
 }
 
 /**
- * Format a card into a short string such as '7D' or 'AH'. Helpful
- * when sending card data to clients.
+ * Salted hash of a room password, so the plain password is never
+ * stored with the room.
  *
- * @param {{suit:string,rank:number}} card
- * @returns {string}
+ * @param {string} password
+ * @param {string} [salt] hex; a new one is made when omitted
+ * @returns {{salt:string, hash:string}}
  */
-function formatCard(card) {
-  const rankMap = { 11: 'J', 12: 'Q', 13: 'K', 14: 'A' };
-  const rankStr = card.rank <= 10 ? String(card.rank) : rankMap[card.rank];
-  return rankStr + card.suit;
+function hashRoomPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.createHash('sha256').update(`${salt}:${password}`).digest('hex');
+  return { salt, hash };
 }
 
 /**
- * Determine if bidA outranks bidB. A bid is an object with
- * properties level (1–7) and suit (C, D, H, S). Higher level wins;
- * if equal level then higher suit wins according to SUIT_RANKING.
- * If bidB is null (no current highest bid) then bidA always wins.
+ * Whether a password opens the room. Rooms without a password are
+ * open to anyone, and the host never needs one.
  *
- * @param {{level:number,suit:string}} bidA
- * @param {{level:number,suit:string}|null} bidB
+ * @param {object} room
+ * @param {string} socketId
+ * @param {*} password
  * @returns {boolean}
  */
-function isHigherBid(bidA, bidB) {
-  if (!bidB) return true;
-  if (bidA.level > bidB.level) return true;
-  if (bidA.level === bidB.level && SUIT_RANKING[bidA.suit] > SUIT_RANKING[bidB.suit]) {
-    return true;
-  }
-  return false;
-}
-
-/**
- * Evaluate a completed trick and determine the winner. A trick is an
- * array of objects {player: number, card: {suit, rank}} in order of
- * play. The lead suit is the suit of the first card. If a trump
- * suit exists (the suit of the winning bid), any trump outranks
- * non‑trumps. Within the same suit, higher rank wins.
- *
- * @param {Array<{player:number,card:{suit:string,rank:number}}>} trick
- * @param {string|null} trumpSuit
- * @returns {number} the index of the player who won the trick
- */
-function evaluateTrick(trick, trumpSuit) {
-  const leadSuit = trick[0].card.suit;
-  let winning = trick[0];
-  for (let i = 1; i < trick.length; i++) {
-    const current = trick[i];
-    const card = current.card;
-    const winCard = winning.card;
-    // If current card is trump and winning is not trump
-    if (trumpSuit && card.suit === trumpSuit && winCard.suit !== trumpSuit) {
-      winning = current;
-    } else if (trumpSuit && card.suit === trumpSuit && winCard.suit === trumpSuit) {
-      if (card.rank > winCard.rank) winning = current;
-    } else if ((!trumpSuit || winCard.suit === leadSuit) && card.suit === winCard.suit && card.rank > winCard.rank) {
-      winning = current;
-    }
-  }
-  return winning.player;
-}
-
-// In‑memory store of all active rooms keyed by code
-const rooms = {};
-
-/**
- * Broadcast the current list of open rooms to all connected clients.
- * An open room is any room that has fewer than 4 players and is in
- * the waiting stage (not currently playing a round).
- */
-function updateRoomsList() {
-  const list = Object.values(rooms)
-    .filter((room) => room.players.length < 4 && room.stage === 'waiting')
-    .map((room) => ({ code: room.code, players: room.players.length }));
-  io.emit('roomsList', { rooms: list });
-}
-
-/**
- * Start a new deal in a room. Cards are shuffled and dealt evenly
- * among the four players. Bidding is initialised and the first
- * bidding turn is set to the dealer's left (player 1).
- *
- * @param {string} roomCode
- */
-function startDeal(roomCode) {
-  const room = rooms[roomCode];
-  if (!room) return;
-  room.stage = 'bidding';
-  room.highestBid = null;
-  room.highestBidder = null;
-  room.passes = 0;
-  room.trumpSuit = null;
-  room.callCard = null;
-  room.declarerTeamTricks = 0;
-  room.defenderTeamTricks = 0;
-  room.currentTrick = [];
-  // Reset partner reveal state for the new deal
-  room.partnerRevealed = false;
-  room.partnerPos = null;
-  // Reset player state
-  room.players.forEach((player) => {
-    player.hand = [];
-    player.tricks = 0;
-    player.isDeclarer = false;
-    player.isPartner = false;
-  });
-  // Build and shuffle deck
-  const deck = shuffle(buildDeck());
-  // Deal 13 cards to each player
-  for (let i = 0; i < 13; i++) {
-    for (let p = 0; p < room.players.length; p++) {
-      const card = deck.pop();
-      room.players[p].hand.push(card);
+function roomPasswordAccepted(room, socketId, password) {
+  if (!room.password || room.hostId === socketId) return true;
+  return roomPasswordMatches(room, password);
+}
+
+/**
+ * Whether password is the password of a room that has one.
+ *
+ * @param {object} room
+ * @param {*} password
+ * @returns {boolean}
+ */
+function roomPasswordMatches(room, password) {
+  if (!room.password || typeof password !== 'string') return false;
+  const { hash } = hashRoomPassword(password, room.password.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(room.password.hash, 'hex'));
+}
+
+/**
+ * Whether an HTTP request may read a room's finished deals, which show
+ * every hand. Players at the table (?token= with their seat token) may
+ * always read them. Anyone else sees no more than a spectator would:
+ * nothing unless the room shows spectators the hands, and for private
+ * and password rooms only with the room password (?password=).
+ *
+ * @param {object} room
+ * @param {object} query request query string
+ * @returns {boolean}
+ */
+function dealsVisible(room, query) {
+  if (typeof query.token === 'string' && room.players.some((p) => p.token && p.token === query.token)) return true;
+  if (!room.rules.spectatorsSeeHands) return false;
+  if (!room.private && !room.password) return true;
+  return roomPasswordMatches(room, query.password);
+}
+
+/**
+ * Key describing how a room appears in the rooms list. Compared
+ * before and after each update to decide whether to rebroadcast it.
+ *
+ * @param {object|null} room
+ * @returns {string}
+ */
+function listingKey(room) {
+  if (!room || room.closed || room.private) return '';
+  return `${room.stage === 'waiting'}:${room.players.length}`;
+}
+
+/**
+ * Earliest pending deadline in a room (turn timer, automatic next deal
+ * or a held seat expiring), or null if nothing is scheduled. Stored as room.wakeAt so
+ * the store can index it for the timer poller.
+ *
+ * @param {object} room
+ * @returns {number|null}
+ */
+function nextWakeAt(room) {
+  const deadlines = [room.turnDeadline, room.nextDealAt];
+  room.players.forEach((p) => deadlines.push(p.graceDeadline));
+  const pending = deadlines.filter((at) => typeof at === 'number');
+  return pending.length > 0 ? Math.min(...pending) : null;
+}
+
+/**
+ * Run an update against a room under its lock. The room is loaded from
+ * the store, passed to fn (which may mutate it and emit events), and
+ * then saved, or deleted if fn closed it. fn receives null if the room
+ * does not exist. Errors are logged and the update is discarded so a
+ * bad event cannot corrupt stored state or crash the process.
+ *
+ * @param {string} code
+ * @param {(room: object|null) => any} fn
+ * @returns {Promise<any>} whatever fn returned
+ */
+async function withRoom(code, fn) {
+  if (typeof code !== 'string' || !code) return fn(null);
+  let release;
+  try {
+    release = await store.lock(code);
+    const room = await store.getRoom(code);
+    const before = listingKey(room);
+    const result = await fn(room);
+    if (room) {
+      if (room.closed) {
+        await store.deleteRoom(code);
+      } else {
+        room.wakeAt = nextWakeAt(room);
+        await store.saveRoom(room);
+      }
+      if (listingKey(room) !== before) updateRoomsList();
     }
+    return result;
+  } catch (err) {
+    console.error(`Update of room ${code} failed`, err);
+    return undefined;
+  } finally {
+    if (release) await release().catch(() => {});
   }
-  // Sort each player's hand for easier UI (by suit then rank)
-  room.players.forEach((player) => {
-    player.hand.sort((a, b) => {
-      if (a.suit === b.suit) return a.rank - b.rank;
-      return SUIT_RANKING[a.suit] - SUIT_RANKING[b.suit];
-    });
-  });
-  // Determine bidding turn: dealer is player 0; bidding starts to dealer's left
-  room.biddingTurn = (room.dealer + 1) % room.players.length;
-  // Notify players of deal and send them their hands
-  io.to(roomCode).emit('dealStarted', {
-    players: room.players.map((p) => ({ id: p.id, name: p.name, pos: p.pos })),
-    dealer: room.dealer,
-  });
-  room.players.forEach((player) => {
-    io.to(player.id).emit('dealCards', {
-      hand: player.hand.map((c) => formatCard(c)),
-    });
+}
+
+/**
+ * Broadcast the player list of a room to everyone in it. Includes
+ * ready flags, sets won and whether each player is currently
+ * connected so clients can mark seats held for dropped players.
+ *
+ * @param {object} room
+ */
+function broadcastPlayerList(room) {
+  io.to(room.code).emit('playerList', {
+    players: game.publicPlayers(room),
+    hostId: room.hostId,
   });
-  // Announce whose turn it is to bid
-  io.to(roomCode).emit('biddingTurn', { pos: room.biddingTurn, turnMs: room.turnMs });
-  // Start timer for bidding turn
-  startTurnTimer(room);
 }
 
 /**
- * Redeal the current game. Called when all players pass without a
- * single bid. Simply restarts the game with the same players and
- * rotates the dealer by one seat.
+ * Channel that reaches only the spectators of a room, for information
+ * that must not reach the seated players.
  *
- * @param {string} roomCode
+ * @param {string} code
+ * @returns {string}
  */
-function redeal(roomCode) {
-  const room = rooms[roomCode];
-  if (!room) return;
-  // Advance dealer position
-  room.dealer = (room.dealer + 1) % room.players.length;
-  startDeal(roomCode);
+function spectatorChannel(code) {
+  return `${code}:spectators`;
 }
 
 /**
- * Finish the bidding phase. Determine the declarer and trump suit
- * based on the highest bid. If there is no highest bid the game is
- * redealt. Otherwise the game transitions to the call‑card phase
- * where the declarer selects a card to call for their secret
- * partner.
+ * Broadcast the names of everyone watching a room.
  *
- * @param {string} roomCode
+ * @param {object} room
  */
-function endBidding(roomCode) {
-  const room = rooms[roomCode];
-  if (!room) return;
-  if (!room.highestBid) {
-    // Everyone passed; redeal
-    io.to(roomCode).emit('message', { message: 'No bids were made. Redealing...' });
-    redeal(roomCode);
-    return;
-  }
-  // Identify declarer and set trump suit
-  const declarerIndex = room.highestBidder;
-  // Determine trump suit: No Trump ('N') means no trump (null)
-  const trumpSuit = room.highestBid.suit;
-  room.trumpSuit = trumpSuit === 'N' ? null : trumpSuit;
-  room.players.forEach((player) => {
-    player.isDeclarer = player.pos === declarerIndex;
+function broadcastSpectators(room) {
+  io.to(room.code).emit('spectatorList', {
+    spectators: room.spectators.map((s) => ({ id: s.id, name: s.name })),
   });
-  // Move to call‑card stage
-  room.stage = 'callCard';
-  io.to(roomCode).emit('biddingComplete', {
-    highestBid: room.highestBid,
-    declarer: declarerIndex,
-    trumpSuit,
-  });
-  // Prompt declarer to select a partner card
-  const declarer = room.players[declarerIndex];
-  io.to(declarer.id).emit('yourTurnToCall');
-  // Notify others that the declarer is choosing
-  room.players.forEach((player) => {
-    if (player.pos !== declarerIndex) {
-      io.to(player.id).emit('waitingForCall');
-    }
+}
+
+/**
+ * Broadcast the room's host-chosen settings (house rules) to everyone
+ * in it.
+ *
+ * @param {object} room
+ */
+function broadcastSettings(room) {
+  io.to(room.code).emit('roomSettings', { rules: room.rules });
+}
+
+/**
+ * Deliver the events produced by a game action: to everyone in the
+ * room, to its spectators only, or privately to the player in a seat.
+ *
+ * @param {object} room
+ * @param {Array<{to:string|number, name:string, data?:object}>} events
+ */
+function sendEvents(room, events) {
+  events.forEach(({ to, name, data }) => {
+    let target;
+    if (to === 'room') target = room.code;
+    else if (to === 'spectators') target = spectatorChannel(room.code);
+    else target = room.players[to] && room.players[to].id;
+    if (!target) return;
+    if (data === undefined) io.to(target).emit(name);
+    else io.to(target).emit(name, data);
   });
 }
 
+// Events after which someone new is expected to act, or nobody is
+const TURN_EVENTS = ['washWindow', 'biddingTurn', 'biddingComplete', 'playTurn', 'claimMade', 'roundFinished'];
+
 /**
- * Determine which player holds the called card. If the declarer
- * happens to hold the called card then there is no partner (solo).
- * Set the partner flag on the appropriate player and inform them
- * privately. After assigning partner, begin the trick‑taking phase.
- *
- * @param {string} roomCode
- * @param {string} declarerId
- * @param {{rank:number,suit:string}} callCard
- */
-function assignPartnerAndStartPlay(roomCode, declarerId, callCard) {
-  const room = rooms[roomCode];
-  if (!room) return;
-  room.callCard = callCard;
-  // Track that partner has not yet been revealed; partner will be
-  // revealed when the called card is actually played. See handlePlay.
-  room.partnerRevealed = false;
-  room.partnerPos = null;
-  let partnerIndex = null;
-  // Find the partner by scanning players' hands
-  for (let i = 0; i < room.players.length; i++) {
-    const player = room.players[i];
-    if (player.id === declarerId) continue;
-    if (player.hand.some((card) => card.suit === callCard.suit && card.rank === callCard.rank)) {
-      partnerIndex = i;
-      break;
-    }
-  }
-  if (partnerIndex !== null) {
-    room.players[partnerIndex].isPartner = true;
-    // Inform the partner privately
-    io.to(room.players[partnerIndex].id).emit('youArePartner');
+ * Apply a game action to a room (see game.js), send the events it
+ * produced and take care of what the rules leave to the server: turn
+ * deadlines, and account stats, ratings and the next automatic deal
+ * once a round is over.
+ *
+ * @param {object} room
+ * @param {object} action
+ * @returns {string|null} the reason the action was refused, if it was
+ */
+function act(room, action) {
+  const result = game.applyAction(room, action);
+  if (result.error) return result.error;
+  Object.assign(room, result.state);
+  sendEvents(room, result.events);
+  // A deal that ends while paused (abandoned when a player leaves) ends the pause
+  if (room.stage === 'waiting' || room.stage === 'finished') clearPause(room);
+  if (result.events.some((e) => TURN_EVENTS.includes(e.name))) startTurnTimer(room);
+  const round = result.events.find((e) => e.name === 'roundFinished');
+  if (round) {
+    recordAccountStats(room, round.data);
+    rateDeal(room, round.data);
+    if (room.stage === 'waiting' && room.rules.autoDeal) scheduleNextDeal(room);
   }
-  // Move to playing stage
-  room.stage = 'playing';
-  // Determine who leads: player to declarer's left
-  const declarer = room.players.find((p) => p.id === declarerId);
-  room.playingTurn = (declarer.pos + 1) % room.players.length;
-  // Notify all players the call card and start of play (without revealing partner)
-  io.to(roomCode).emit('callCardSelected', {
-    rank: callCard.rank,
-    suit: callCard.suit,
+  return null;
+}
+
+/**
+ * Apply a game action on behalf of a player's socket, telling the
+ * player if the rules refuse it.
+ *
+ * @param {object} room
+ * @param {object} socket
+ * @param {object} action
+ */
+function actFor(room, socket, action) {
+  const error = room.paused ? 'The game is paused.' : act(room, action);
+  if (error) socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: error });
+}
+
+/**
+ * Start a new deal in a room, cancelling any scheduled automatic one.
+ *
+ * @param {object} room
+ * @returns {string|null} the reason the deal could not start, if any
+ */
+function startDeal(room) {
+  room.nextDealAt = null;
+  room.autoDealPaused = false;
+  return act(room, { type: 'deal' });
+}
+
+/**
+ * Seated human players who may vote on pausing: bots and players who
+ * have dropped out do not vote.
+ *
+ * @param {object} room
+ * @returns {object[]}
+ */
+function pauseVoters(room) {
+  return room.players.filter((p) => !p.isBot && p.connected !== false);
+}
+
+/**
+ * Votes it takes to pause or resume: a majority of the voters.
+ *
+ * @param {object} room
+ * @returns {number}
+ */
+function pauseVotesNeeded(room) {
+  return Math.floor(pauseVoters(room).length / 2) + 1;
+}
+
+/**
+ * Tell the room whether it is paused and how the vote to change that
+ * stands.
+ *
+ * @param {object} room
+ */
+function broadcastPause(room) {
+  let remainingMs = room.turnDeadline ? Math.max(0, room.turnDeadline - Date.now()) : null;
+  if (room.paused) remainingMs = room.pausedTurnMs;
+  io.to(room.code).emit('pauseUpdate', {
+    paused: !!room.paused,
+    votes: room.pauseVotes || [],
+    needed: pauseVotesNeeded(room),
+    remainingMs,
   });
-  io.to(roomCode).emit('playTurn', { pos: room.playingTurn, turnMs: room.turnMs });
-  // Start timer for playing turn
-  startTurnTimer(room);
 }
 
 /**
- * Helper to compute indices of legal cards a player can play. If there
- * is a lead suit, the player must follow suit if possible. If no
- * follow suit, any card is legal.
+ * Record a seated player's vote to pause or resume the deal and see
+ * whether that settles it. Returns the reason the vote was refused, if
+ * any.
  *
  * @param {object} room
  * @param {object} player
- * @returns {number[]}
+ * @param {boolean} pause true to vote for a pause, false to resume
+ * @returns {string|null}
  */
-function legalCardIndices(room, player) {
-  if (!room.currentTrick || room.currentTrick.length === 0) {
-    return player.hand.map((_, i) => i);
+function votePause(room, player, pause) {
+  if (!['wash', 'bidding', 'callCard', 'playing'].includes(room.stage)) return 'There is no deal to pause.';
+  if (pause === !!room.paused) return pause ? 'The game is already paused.' : 'The game is not paused.';
+  const votes = room.pauseVotes || [];
+  if (votes.includes(player.pos)) return 'You have already voted.';
+  room.pauseVotes = [...votes, player.pos];
+  io.to(room.code).emit('message', {
+    message: `${player.name} voted to ${pause ? 'pause' : 'resume'} the game.`,
+  });
+  countPauseVotes(room);
+  return null;
+}
+
+/**
+ * Count the pending pause votes against the players who may vote now.
+ * Once a majority of them agree the room flips: pausing stops the turn
+ * clock and keeps the time left on it, resuming restarts it with that
+ * time. Called on each vote and whenever a voter drops out, since the
+ * votes already cast may then be enough.
+ *
+ * @param {object} room
+ */
+function countPauseVotes(room) {
+  const votes = room.pauseVotes || [];
+  if (!room.paused && votes.length === 0) return;
+  const inFavour = pauseVoters(room).filter((p) => votes.includes(p.pos)).length;
+  if (votes.length > 0 && inFavour >= pauseVotesNeeded(room)) {
+    room.pauseVotes = [];
+    room.paused = !room.paused;
+    if (room.paused) {
+      freezeTurnTimer(room);
+    } else {
+      room.turnDeadline = typeof room.pausedTurnMs === 'number' ? Date.now() + room.pausedTurnMs : null;
+      room.pausedTurnMs = null;
+    }
   }
-  const leadSuit = room.currentTrick[0].card.suit;
-  const inSuit = player.hand
-    .map((c, i) => ({ c, i }))
-    .filter((x) => x.c.suit === leadSuit)
-    .map((x) => x.i);
-  if (inSuit.length > 0) return inSuit;
-  return player.hand.map((_, i) => i);
+  broadcastPause(room);
+}
+
+/**
+ * Stop the turn clock of a paused room, keeping the time that was left.
+ *
+ * @param {object} room
+ */
+function freezeTurnTimer(room) {
+  room.pausedTurnMs = room.turnDeadline ? Math.max(0, room.turnDeadline - Date.now()) : null;
+  room.turnDeadline = null;
+}
+
+/**
+ * Drop any pause and pending pause vote once the deal is over.
+ *
+ * @param {object} room
+ */
+function clearPause(room) {
+  if (!room.paused && !(room.pauseVotes && room.pauseVotes.length)) return;
+  room.paused = false;
+  room.pausedTurnMs = null;
+  room.pauseVotes = [];
+  broadcastPause(room);
 }
 
 /**
- * Start or restart the timer for the current turn. When the timer
- * expires, the server will play a random legal card for the current
- * player. Each room has its own timer duration stored on the room
- * object (room.turnMs). If turnMs is zero or undefined, no timer is
- * started.
+ * Start or restart the timer for the current turn. The deadline is
+ * stored on the room (room.turnDeadline) rather than held in a local
+ * timeout so that whichever server polls first after it passes can act
+ * on it, even if the server that started the turn has gone away. When
+ * the deadline expires runRoomTimers passes or plays a random legal
+ * card for the current player. Each room has its own timer duration
+ * stored on the room object (room.turnMs). If turnMs is zero or
+ * undefined, no timer is started. Bots get a short fixed delay instead
+ * and act when it expires. A wash window always runs WASH_WINDOW_MS.
+ * While a claim is being answered play is stopped; only bots that
+ * still have to answer are put on the clock. In a paused room the
+ * time is held until play resumes.
  *
  * @param {object} room
  */
 function startTurnTimer(room) {
-  // Clear any existing timer
-  if (room.turnTimer) {
-    clearTimeout(room.turnTimer);
-    room.turnTimer = null;
+  const actor = currentActor(room);
+  if (room.claim) {
+    room.turnDeadline = botsToAnswerClaim(room).length > 0 ? Date.now() + BOT_THINK_MS : null;
+  } else if (actor && actor.isBot) {
+    room.turnDeadline = Date.now() + BOT_THINK_MS;
+  } else if (room.turnMs && (room.stage === 'bidding' || room.stage === 'playing')) {
+    room.turnDeadline = Date.now() + room.turnMs;
+  } else if (room.stage === 'wash') {
+    room.turnDeadline = Date.now() + WASH_WINDOW_MS;
+  } else {
+    room.turnDeadline = null;
   }
-  if (!room.turnMs) return;
-  room.turnTimer = setTimeout(() => {
-    // Auto play a legal card for the current turn owner
-    if (room.stage === 'bidding') {
-      // In bidding, auto pass
-      const currentPlayer = room.players[room.biddingTurn];
-      handleBid(room, currentPlayer, null);
-    } else if (room.stage === 'playing') {
-      const currentPlayer = room.players[room.playingTurn];
-      const legal = legalCardIndices(room, currentPlayer);
-      const idx = legal[Math.floor(Math.random() * legal.length)];
-      const card = currentPlayer.hand[idx];
-      handlePlay(room, currentPlayer, card);
-    }
-  }, room.turnMs);
+  if (room.paused) freezeTurnTimer(room);
 }
 
 /**
- * Internal helper to process a bid from a specific player. Accepts
- * either a bid object {level,suit} or null for a pass. This
- * function will update room state, broadcast updates, handle
- * redeals, and move to next bidding turn. Does not enforce turn
- * order; caller must validate.
+ * The player expected to act next: the current bidder, the declarer
+ * while a partner card is being called, or the player on lead/to
+ * follow during trick play.
  *
  * @param {object} room
- * @param {object} player
- * @param {{level:number,suit:string}|null} bid
- */
-function handleBid(room, player, bid) {
-  const roomCode = room.code;
-  if (bid === null) {
-    // Pass
-    room.passes++;
-    io.to(roomCode).emit('bidUpdate', {
-      bidder: player.pos,
-      bid: null,
-      passes: room.passes,
+ * @returns {object|null}
+ */
+function currentActor(room) {
+  if (room.stage === 'bidding') return room.players[room.biddingTurn] || null;
+  if (room.stage === 'callCard') return room.players[room.highestBidder] || null;
+  if (room.stage === 'playing') return room.players[room.playingTurn] || null;
+  return null;
+}
+
+/**
+ * Act on any deadlines in a room that have passed: hand the seats of
+ * players whose reconnect grace period ran out to a bot (or free them
+ * between deals), let a bot take its turn, and auto pass or auto play
+ * for a human whose turn timer expired.
+ *
+ * @param {object} room
+ * @param {number} now
+ */
+function runRoomTimers(room, now) {
+  room.players
+    .filter((p) => typeof p.graceDeadline === 'number' && p.graceDeadline <= now)
+    .forEach((player) => {
+      player.graceDeadline = null;
+      if (player.connected) return;
+      if (room.stage === 'waiting' || room.stage === 'finished') removePlayer(room, player);
+      else botTakeover(room, player);
     });
-    // If nobody has bid and all four pass: redeal
-    if (!room.highestBid && room.passes >= 4) {
-      io.to(roomCode).emit('message', { message: 'All players passed. Redealing...' });
-      redeal(roomCode);
-      return;
-    }
-    // If there is a bid and three consecutive passes, end bidding
-    if (room.highestBid && room.passes >= 3) {
-      endBidding(roomCode);
-      return;
-    }
-    // Advance bidding turn
-    room.biddingTurn = (room.biddingTurn + 1) % room.players.length;
-    io.to(roomCode).emit('biddingTurn', { pos: room.biddingTurn, turnMs: room.turnMs });
-    startTurnTimer(room);
+  if (!room.closed && room.nextDealAt && room.nextDealAt <= now) {
+    room.nextDealAt = null;
+    startNextDeal(room);
+  }
+  if (room.closed || !room.turnDeadline || room.turnDeadline > now) return;
+  room.turnDeadline = null;
+  if (room.claim) {
+    answerClaimForBots(room);
     return;
   }
-  // Validate and compare bid
-  if (!isHigherBid(bid, room.highestBid)) {
-    io.to(player.id).emit('errorMessage', { message: 'Bid must be higher than the current bid.' });
+  if (room.stage === 'wash') {
+    // Nobody washed in time
+    act(room, { type: 'endWash' });
     return;
   }
-  // Accept bid
-  room.highestBid = bid;
-  room.highestBidder = player.pos;
-  room.passes = 0;
-  io.to(roomCode).emit('bidUpdate', {
-    bidder: player.pos,
-    bid,
-    passes: room.passes,
-  });
-  // Advance bidding turn
-  room.biddingTurn = (room.biddingTurn + 1) % room.players.length;
-  io.to(roomCode).emit('biddingTurn', { pos: room.biddingTurn, turnMs: room.turnMs });
-  startTurnTimer(room);
+  const actor = currentActor(room);
+  if (actor && actor.isBot) {
+    playBotTurn(room, actor);
+    return;
+  }
+  // Auto play a legal card for the current turn owner
+  if (room.stage === 'bidding') {
+    // In bidding, auto pass
+    act(room, { type: 'bid', seat: room.biddingTurn, bid: null });
+  } else if (room.stage === 'playing') {
+    const currentPlayer = room.players[room.playingTurn];
+    const legal = legalCardIndices(room, currentPlayer);
+    const idx = legal[Math.floor(Math.random() * legal.length)];
+    act(room, { type: 'play', seat: currentPlayer.pos, card: currentPlayer.hand[idx] });
+  }
+}
+
+// Set while a poll is running so slow store round trips don't overlap
+let pollingTimers = false;
+
+/**
+ * Poll the store for rooms with a deadline that has passed and process
+ * them. Safe to run on every replica at once: each room is handled
+ * under its lock and deadlines are re-checked after loading.
+ */
+async function processDueTimers() {
+  if (pollingTimers) return;
+  pollingTimers = true;
+  try {
+    const now = Date.now();
+    const codes = await store.dueRooms(now);
+    for (const code of codes) {
+      await withRoom(code, async (room) => {
+        if (!room) {
+          await store.deleteRoom(code);
+          return;
+        }
+        runRoomTimers(room, Date.now());
+      });
+    }
+  } catch (err) {
+    console.error('Failed to process room timers', err);
+  } finally {
+    pollingTimers = false;
+  }
 }
 
+// --- Computer-controlled players ---
+
 /**
- * Internal helper to process a card play. Does not validate that it
- * is the player's turn; caller should ensure order. Updates trick
- * state, broadcasts updates, determines trick winner when four cards
- * have been played, and rotates turn. If the hand ends, calls
- * startDeal again.
+ * Create a bot player for an empty seat. Bots are always ready and
+ * have no reconnect token.
+ *
+ * @param {object} room
+ * @returns {object}
+ */
+function createBot(room) {
+  let n = 1;
+  while (room.players.some((p) => p.name === `Bot ${n}`)) n++;
+  return {
+    id: `bot:${room.code}:${crypto.randomBytes(4).toString('hex')}`,
+    name: `Bot ${n}`,
+    hand: [],
+    pos: room.players.length,
+    ready: true,
+    tricks: 0,
+    sets: 0,
+    score: 0,
+    isDeclarer: false,
+    isPartner: false,
+    isBot: true,
+    token: null,
+    connected: true,
+    graceDeadline: null,
+  };
+}
+
+/**
+ * Let a bot play the seat of a disconnected human for the rest of the
+ * deal. The human keeps their token and takes the seat back when they
+ * reconnect. If nobody human is left at the table the room is closed.
  *
  * @param {object} room
  * @param {object} player
- * @param {{suit:string,rank:number}} cardObj (actual card object)
- */
-function handlePlay(room, player, cardObj) {
-  const roomCode = room.code;
-  // Remove card from player's hand
-  const idx = player.hand.findIndex((c) => c.suit === cardObj.suit && c.rank === cardObj.rank);
-  if (idx === -1) {
-    io.to(player.id).emit('errorMessage', { message: 'Card not found in hand.' });
+ */
+function botTakeover(room, player) {
+  player.isBot = true;
+  player.graceDeadline = null;
+  if (room.players.every((p) => p.isBot)) {
+    room.closed = true;
     return;
   }
-  const [playedCard] = player.hand.splice(idx, 1);
-  // Validate follow suit
-  if (room.currentTrick.length > 0) {
-    const leadSuit = room.currentTrick[0].card.suit;
-    const hasSuit = player.hand.some((c) => c.suit === leadSuit);
-    if (playedCard.suit !== leadSuit && hasSuit) {
-      // illegal
-      player.hand.splice(idx, 0, playedCard);
-      io.to(player.id).emit('errorMessage', { message: `You must follow suit ${leadSuit}.` });
+  io.to(room.code).emit('message', { message: `A bot is now playing for ${player.name}.` });
+  broadcastPlayerList(room);
+  countPauseVotes(room);
+  if (currentActor(room) === player || room.claim) startTurnTimer(room);
+}
+
+/**
+ * Bots that have yet to answer the pending claim.
+ *
+ * @param {object} room
+ * @returns {object[]}
+ */
+function botsToAnswerClaim(room) {
+  const { claimant, accepted } = room.claim;
+  return room.players.filter((p) => p.isBot && p.pos !== claimant && !accepted.includes(p.pos));
+}
+
+/**
+ * Let every bot answer the pending claim. Bots cannot judge a claim,
+ * so they accept only those the server can check are trivially valid.
+ *
+ * @param {object} room
+ */
+function answerClaimForBots(room) {
+  for (const bot of botsToAnswerClaim(room)) {
+    if (!room.claim) return;
+    act(room, { type: 'answerClaim', seat: bot.pos, accept: room.claim.trivial });
+  }
+}
+
+/**
+ * Make the bot whose turn it is act: bid, call a partner card or play.
+ *
+ * @param {object} room
+ * @param {object} bot
+ */
+function playBotTurn(room, bot) {
+  if (room.stage === 'bidding') {
+    act(room, { type: 'bid', seat: bot.pos, bid: chooseBotBid(room, bot) });
+  } else if (room.stage === 'callCard') {
+    act(room, { type: 'callCard', seat: bot.pos, card: chooseBotCallCard(room, bot) });
+  } else if (room.stage === 'playing') {
+    act(room, { type: 'play', seat: bot.pos, card: chooseBotCard(room, bot) });
+  }
+}
+
+/**
+ * Whether a proposed rules object changes the match format after the
+ * first deal of the match has been played.
+ *
+ * @param {object} room
+ * @param {object} rules
+ * @returns {boolean}
+ */
+function matchRulesChanged(room, rules) {
+  if (room.history.length === 0) return false;
+  return MATCH_RULES.some((key) => rules[key] !== room.rules[key]);
+}
+
+/**
+ * Add a finished deal to the lifetime stats of every seated account.
+ * A seat won the deal when its side made (declarer and partner) or
+ * broke (defenders) the contract. A seat a bot is playing for a
+ * disconnected player is left out: the deal was not theirs. The accounts file is saved in the
+ * background.
+ *
+ * @param {object} room
+ * @param {{declarer:number, partner:number, highestBid:object, contractMade:boolean}} round
+ *   the roundFinished event; partner is -1 for a solo declarer
+ */
+function recordAccountStats(room, { declarer, partner, highestBid, contractMade }) {
+  const results = room.players
+    .filter((p) => p.username && !p.isBot)
+    .map((p) => ({
+      username: p.username,
+      declarer: p.pos === declarer,
+      partner: p.pos === partner,
+      won: (p.pos === declarer || p.pos === partner) === contractMade,
+      contract: highestBid,
+      contractMade,
+    }));
+  if (!results.length) return;
+  accounts.recordDeal(results).catch((err) => console.error('Failed to record account stats', err));
+}
+
+/**
+ * Update the ratings of every account at the table for a finished
+ * deal and tell the room the new ratings once they are saved. Bots,
+ * including one playing for a disconnected player, count at the
+ * initial rating but are not rated themselves.
+ *
+ * @param {object} room
+ * @param {{declarer:number, partner:number, contractMade:boolean}} round
+ *   the roundFinished event; partner is -1 for a solo declarer
+ */
+function rateDeal(room, { declarer, partner, contractMade }) {
+  const names = room.players.map((p) => (p.isBot ? null : p.username || null));
+  if (!names.some(Boolean)) return;
+  const declarerSide = partner >= 0 ? [declarer, partner] : [declarer];
+  ratings
+    .recordDeal(names, declarerSide, contractMade)
+    .then((updated) => io.to(room.code).emit('ratingsUpdated', { ratings: updated }))
+    .catch((err) => console.error('Failed to update ratings', err));
+}
+
+/**
+ * Schedule the next deal of a continuous-play room once the round
+ * result has been shown for the configured number of seconds.
+ *
+ * @param {object} room
+ */
+function scheduleNextDeal(room) {
+  const ms = room.rules.autoDealSeconds * 1000;
+  room.nextDealAt = Date.now() + ms;
+  room.autoDealPaused = false;
+  io.to(room.code).emit('nextDealScheduled', { ms });
+}
+
+/**
+ * Start the automatically scheduled deal if the table is still full
+ * and nobody is missing; otherwise leave it to the host.
+ *
+ * @param {object} room
+ */
+function startNextDeal(room) {
+  if (room.stage !== 'waiting') return;
+  const tableReady =
+    room.players.length === 4 && room.players.every((p) => p.isBot || (p.connected !== false && p.ready));
+  if (!tableReady) {
+    io.to(room.code).emit('message', { message: 'Automatic deal skipped: waiting for all four players.' });
+    return;
+  }
+  startDeal(room);
+}
+
+/**
+ * Hand the host role to the first connected human at the table, if
+ * there is one, and announce it. Called when the host leaves or drops.
+ *
+ * @param {object} room
+ */
+function reassignHost(room) {
+  const next = room.players.find((p) => !p.isBot && p.connected !== false && p.id !== room.hostId);
+  if (!next) return;
+  room.hostId = next.id;
+  io.to(room.code).emit('message', { message: `${next.name} is now the host.` });
+}
+
+/**
+ * Remove a player from a room for good. Remaining players are
+ * renumbered so seat positions stay contiguous, any deal in progress
+ * is abandoned and the room returns to the waiting stage. Empty rooms
+ * are closed and deleted from the store once the update is saved.
+ *
+ * @param {object} room
+ * @param {object} player
+ */
+function removePlayer(room, player) {
+  const code = room.code;
+  const index = room.players.indexOf(player);
+  if (index === -1) return;
+  room.players.splice(index, 1);
+  room.players.forEach((p, i) => {
+    p.pos = i;
+  });
+  // Inform remaining players
+  io.to(code).emit('message', { message: `${player.name} has left the game.` });
+  if (player.id === room.hostId) reassignHost(room);
+  broadcastPlayerList(room);
+  act(room, { type: 'abandonDeal' });
+  room.turnDeadline = null;
+  room.nextDealAt = null;
+  // If no humans remain in the room, remove it entirely
+  if (!room.players.some((p) => !p.isBot)) {
+    room.closed = true;
+  }
+}
+
+/**
+ * Build a snapshot of everything a seated player needs to rebuild the
+ * table after reconnecting: their own hand, the public bidding and
+ * trick state, and whether they are the (still secret) partner. With
+ * no player the snapshot is for a spectator and holds no cards, except
+ * the whole finished deal when the room shows it to spectators.
+ *
+ * @param {object} room
+ * @param {object|null} player
+ * @returns {object}
+ */
+function buildGameState(room, player) {
+  const contractKnown = room.stage === 'callCard' || room.stage === 'playing';
+  const dealOver = room.stage === 'waiting' || room.stage === 'finished';
+  return {
+    roomCode: room.code,
+    stage: room.stage,
+    spectator: !player,
+    pos: player ? player.pos : null,
+    hostId: room.hostId,
+    players: game.publicPlayers(room),
+    dealer: room.dealer,
+    hand: player ? player.hand.map((c) => formatCard(c)) : [],
+    highestBid: room.highestBid,
+    highestBidder: room.highestBidder,
+    declarer: contractKnown ? room.highestBidder : null,
+    passes: room.passes,
+    auction: room.auction || [],
+    biddingTurn: room.biddingTurn,
+    playingTurn: room.playingTurn,
+    trumpSuit: room.trumpSuit,
+    trumpBroken: !!room.trumpBroken,
+    callCard: room.callCard,
+    currentTrick: room.currentTrick.map((entry) => ({ player: entry.player, card: formatCard(entry.card) })),
+    // Without the tracker only the last trick may be looked back at
+    playedTricks: room.rules.playedCardsTracker ? room.playedTricks || [] : (room.playedTricks || []).slice(-1),
+    claim: game.claimView(room),
+    partnerRevealed: room.partnerRevealed,
+    partnerPos: room.partnerPos,
+    isPartner: !!player && room.stage === 'playing' && player.isPartner,
+    declarerTeamTricks: room.declarerTeamTricks,
+    defenderTeamTricks: room.defenderTeamTricks,
+    playersTricks: room.players.map((p) => p.tricks || 0),
+    playersSets: room.players.map((p) => p.sets || 0),
+    playersScores: room.players.map((p) => p.score || 0),
+    history: room.history,
+    matchResult: room.matchResult || null,
+    autoDealPaused: !!room.autoDealPaused,
+    nextDealRemainingMs: room.nextDealAt ? Math.max(0, room.nextDealAt - Date.now()) : null,
+    washEligible: !!player && room.stage === 'wash' && canWash(player) && !room.washDeclined.includes(player.pos),
+    spectators: room.spectators.map((s) => ({ id: s.id, name: s.name })),
+    allHands: !player && dealOver && room.rules.spectatorsSeeHands ? room.dealHands : null,
+    rules: room.rules,
+    commitment: room.commitment || null,
+    turnMs: room.turnMs,
+    turnRemainingMs: room.turnDeadline ? Math.max(0, room.turnDeadline - Date.now()) : null,
+    paused: !!room.paused,
+    pausedTurnMs: room.paused ? room.pausedTurnMs : null,
+    pauseVotes: room.pauseVotes || [],
+    pauseVotesNeeded: pauseVotesNeeded(room),
+  };
+}
+
+// Records of every deal played out in a room, for replays and export
+app.get('/api/rooms/:code/deals', async (req, res) => {
+  try {
+    const room = await store.getRoom(req.params.code.toUpperCase());
+    if (!room) {
+      res.status(404).json({ error: 'Room not found.' });
       return;
     }
-  }
-  // Record play
-  room.currentTrick.push({ player: player.pos, card: playedCard });
-
-  // Check if this card reveals the partner (call card). The partner is
-  // considered revealed only when the declarer's called card is
-  // actually played by someone other than the declarer. Once
-  // revealed, broadcast to all players.
-  if (
-    room.callCard &&
-    !room.partnerRevealed &&
-    playedCard.suit === room.callCard.suit &&
-    playedCard.rank === room.callCard.rank
-  ) {
-    // If the declarer is playing their own call card, there is no partner;
-    // do not reveal. Otherwise, mark the player as partner.
-    const declarerPos = room.highestBidder;
-    if (player.pos !== declarerPos) {
-      room.partnerRevealed = true;
-      room.partnerPos = player.pos;
-      // Mark player as partner (in case not already set)
-      room.players[player.pos].isPartner = true;
-      io.to(room.code).emit('partnerRevealed', { partner: player.pos });
+    if (!dealsVisible(room, req.query)) {
+      res.status(403).json({ error: 'Only players at this table can see its deals.' });
+      return;
     }
+    res.json({ code: room.code, deals: room.deals });
+  } catch (err) {
+    console.error('Failed to load deals', err);
+    res.status(500).json({ error: 'Failed to load deals.' });
   }
-  io.to(roomCode).emit('cardPlayed', {
-    player: player.pos,
-    card: formatCard(playedCard),
-    remaining: player.hand.length,
-  });
-  // Check if trick complete
-  if (room.currentTrick.length === room.players.length) {
-    // Determine winner
-    const winnerPos = evaluateTrick(room.currentTrick, room.trumpSuit);
-    // Award trick to team and increment individual trick count
-    const declarer = room.players[room.highestBidder];
-    const partner = room.players.find((p) => p.isPartner);
-    const declarerTeam = new Set([declarer.pos]);
-    if (partner) declarerTeam.add(partner.pos);
-    if (declarerTeam.has(winnerPos)) room.declarerTeamTricks++;
-    else room.defenderTeamTricks++;
-    // Track individual tricks won by each player. Initialize if undefined.
-    const winnerPlayer = room.players[winnerPos];
-    if (winnerPlayer) {
-      winnerPlayer.tricks = (winnerPlayer.tricks || 0) + 1;
+});
+
+// The same deals as a Portable Bridge Notation file for analysis tools
+app.get('/api/rooms/:code/deals.pbn', async (req, res) => {
+  try {
+    const room = await store.getRoom(req.params.code.toUpperCase());
+    if (!room) {
+      res.status(404).json({ error: 'Room not found.' });
+      return;
     }
-    // Notify players. Include per-player trick counts so clients can show "won hands"
-    io.to(roomCode).emit('trickComplete', {
-      trick: room.currentTrick.map((entry) => ({ player: entry.player, card: formatCard(entry.card) })),
-      winner: winnerPos,
-      declarerTeamTricks: room.declarerTeamTricks,
-      defenderTeamTricks: room.defenderTeamTricks,
-      playersTricks: room.players.map((p) => p.tricks || 0),
-    });
-    // Reset trick and set new starting turn
-    room.currentTrick = [];
-    room.playingTurn = winnerPos;
-    // Check if hand finished
-    const cardsRemaining = room.players.reduce((sum, p) => sum + p.hand.length, 0);
-    if (cardsRemaining === 0) {
-      // Determine contract success
-      const tricksNeeded = (room.highestBid.level || 0) + 6;
-      const contractMade = room.declarerTeamTricks >= tricksNeeded;
-      // Update sets (round wins) for players. If contract is made,
-      // declarer and partner each get a set; otherwise defenders get
-      // a set. The partner may be null if declarer held the call card.
-      const declarerIndex = room.highestBidder;
-      const partnerIndex = room.players.findIndex((p) => p.isPartner);
-      if (contractMade) {
-        room.players.forEach((plr) => {
-          if (plr.pos === declarerIndex || plr.pos === partnerIndex) {
-            plr.sets = (plr.sets || 0) + 1;
-          }
-        });
-      } else {
-        room.players.forEach((plr) => {
-          if (!(plr.pos === declarerIndex || plr.pos === partnerIndex)) {
-            plr.sets = (plr.sets || 0) + 1;
-          }
-        });
-      }
-      // Add to round history for scoreboard
-      room.history.push({
-        declarer: declarerIndex,
-        partner: partnerIndex,
-        declarerTeamTricks: room.declarerTeamTricks,
-        defenderTeamTricks: room.defenderTeamTricks,
-        contractMade,
-        highestBid: room.highestBid,
-      });
-      // Emit round finished event with scoreboard info
-      io.to(roomCode).emit('roundFinished', {
-        declarer: declarerIndex,
-        partner: partnerIndex,
-        declarerTeamTricks: room.declarerTeamTricks,
-        defenderTeamTricks: room.defenderTeamTricks,
-        contractMade,
-        highestBid: room.highestBid,
-        playersSets: room.players.map((p) => p.sets || 0),
-        history: room.history,
-      });
-      // Prepare for scoreboard/waiting stage. Do not auto redeal.
-      // Advance dealer for next round (will be used when a new game starts)
-      room.dealer = (room.dealer + 1) % room.players.length;
-      // Transition room back to waiting state. Reset round-specific data but
-      // keep player sets intact. Players will need to ready up again.
-      room.stage = 'waiting';
-      room.highestBid = null;
-      room.highestBidder = null;
-      room.passes = 0;
-      room.trumpSuit = null;
-      room.callCard = null;
-      room.declarerTeamTricks = 0;
-      room.defenderTeamTricks = 0;
-      room.currentTrick = [];
-      room.biddingTurn = 0;
-      room.playingTurn = 0;
-      room.partnerRevealed = false;
-      room.partnerPos = null;
-      // Reset players state for next round: clear hands, tricks and ready flags
-      room.players.forEach((plr) => {
-        plr.hand = [];
-        plr.tricks = 0;
-        plr.ready = false;
-        plr.isDeclarer = false;
-        plr.isPartner = false;
-      });
-      // Clear any running timer
-      if (room.turnTimer) {
-        clearTimeout(room.turnTimer);
-        room.turnTimer = null;
-      }
-      // Broadcast updated player list to show resets (including sets)
-      io.to(roomCode).emit('playerList', {
-        players: room.players.map((p) => ({
-          id: p.id,
-          name: p.name,
-          pos: p.pos,
-          ready: p.ready,
-          sets: p.sets || 0,
-        })),
-        hostId: room.hostId,
-      });
-      updateRoomsList();
-    } else {
-      io.to(roomCode).emit('playTurn', { pos: room.playingTurn, turnMs: room.turnMs });
-      startTurnTimer(room);
+    if (!dealsVisible(room, req.query)) {
+      res.status(403).json({ error: 'Only players at this table can see its deals.' });
+      return;
     }
-  } else {
-    // Move to next player
-    room.playingTurn = (room.playingTurn + 1) % room.players.length;
-    io.to(roomCode).emit('playTurn', { pos: room.playingTurn, turnMs: room.turnMs });
-    startTurnTimer(room);
+    res.attachment(`bridge-${room.code}.pbn`);
+    res.type('application/x-pbn');
+    res.send(dealsToPbn(room.code, room.deals));
+  } catch (err) {
+    console.error('Failed to export deals', err);
+    res.status(500).json({ error: 'Failed to export deals.' });
   }
-}
+});
+
+// Lifetime stats of an account
+app.get('/api/users/:username', async (req, res) => {
+  try {
+    const user = await accounts.getUser(req.params.username);
+    if (!user) {
+      res.status(404).json({ error: 'User not found.' });
+      return;
+    }
+    res.json(user);
+  } catch (err) {
+    console.error('Failed to load user', err);
+    res.status(500).json({ error: 'Failed to load user.' });
+  }
+});
+
+// Highest rated players across all games
+app.get('/api/leaderboard', async (req, res) => {
+  try {
+    res.json({ players: await ratings.leaderboard() });
+  } catch (err) {
+    console.error('Failed to load leaderboard', err);
+    res.status(500).json({ error: 'Failed to load leaderboard.' });
+  }
+});
+
+// Invite links open the lobby with the room code filled in
+app.get('/r/:code', (req, res) => {
+  res.sendFile(__dirname + '/public/index.html');
+});
 
 // Handle new socket connections
 io.on('connection', (socket) => {
   console.log('New socket connected', socket.id);
   // Immediately send list of open rooms
-  updateRoomsList();
+  updateRoomsList(socket);
 
-  // Create room. Only sets up the room; host must join to claim hostId.
-  socket.on('createRoom', ({ name }) => {
-    // Validate name
-    const trimmed = (name || '').trim();
-    if (!trimmed) {
-      socket.emit('errorMessage', { message: 'Name required.' });
-      return;
-    }
-    let code;
-    do {
-      code = generateRoomCode();
-    } while (rooms[code]);
-    rooms[code] = {
-      code,
-      hostId: socket.id,
-      players: [],
-      stage: 'waiting',
-      dealer: 0,
-      highestBid: null,
-      highestBidder: null,
-      passes: 0,
-      biddingTurn: 0,
-      playingTurn: 0,
-      trumpSuit: null,
-      callCard: null,
-      declarerTeamTricks: 0,
-      defenderTeamTricks: 0,
-      currentTrick: [],
-      turnMs: null,
-      turnTimer: null,
-      // History of completed rounds. Each entry stores declarer position,
-      // partner position, number of tricks taken by each side, and
-      // whether the contract was made. Used for scoreboard.
-      history: [],
+  // Screen every incoming event before its handler runs: rate limit,
+  // payload schema and room membership. Rejections are acknowledged
+  // with an error code, or sent as an errorMessage when the client
+  // did not ask for an acknowledgement.
+  const allowEvent = createRateLimiter(EVENT_BURST, EVENT_RATE_PER_SECOND);
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    const ack = typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+    const reject = (code, error) => {
+      if (ack) ack({ ok: false, code, error });
+      else socket.emit('errorMessage', { code, message: error });
     };
-    socket.emit('roomCreated', { roomCode: code });
-    // Broadcast new rooms list
-    updateRoomsList();
-  });
-
-  // Join room. Accepts code and name. Validates duplicates.
-  socket.on('joinRoom', ({ roomCode, name }) => {
-    const code = (roomCode || '').toUpperCase();
-    const trimmed = (name || '').trim();
-    if (!trimmed) {
-      socket.emit('errorMessage', { message: 'Name required.' });
+    if (!allowEvent()) {
+      reject(ERROR_CODES.RATE_LIMITED, 'Too many requests. Please slow down.');
       return;
     }
-    const room = rooms[code];
-    if (!room) {
-      socket.emit('errorMessage', { message: 'Room not found.' });
+    const checked = validateEvent(event, payload);
+    if (checked.error) {
+      reject(checked.code, checked.error);
       return;
     }
-    if (room.players.length >= 4) {
-      socket.emit('errorMessage', { message: 'Room is full.' });
+    // Handlers use the code as given, so settle its case here once
+    if (payload.roomCode) payload.roomCode = payload.roomCode.toUpperCase();
+    const code = payload.roomCode || null;
+    const { room, entersRoom } = checked.schema;
+    if (room && (!socket.rooms.has(code) || (room === 'seated' && socket.data.spectator))) {
+      reject(ERROR_CODES.NOT_IN_ROOM, 'You are not seated in that room.');
       return;
     }
-    // Check duplicate names (case insensitive)
-    if (room.players.some((p) => p.name.toLowerCase() === trimmed.toLowerCase())) {
-      socket.emit('errorMessage', { message: 'Name already taken in this room.' });
+    // One room per socket: the socket's own room and the room's
+    // spectator channel are the only others it may be in
+    if (entersRoom && [...socket.rooms].some((r) => r !== socket.id && r !== code && r !== spectatorChannel(code))) {
+      reject(ERROR_CODES.ALREADY_IN_ROOM, 'You are already in another room.');
       return;
     }
-    // Add player to room
-    const player = {
-      id: socket.id,
-      name: trimmed,
-      hand: [],
-      pos: room.players.length,
-      ready: false,
-      tricks: 0,
-      // Number of sets (rounds) won by this player across all deals
-      sets: room.players && room.players.length >= 0 ? 0 : 0,
-      isDeclarer: false,
-      isPartner: false,
-    };
-    room.players.push(player);
-    socket.join(code);
-    // Send player list and update rooms list (player count changed)
-    io.to(code).emit('playerList', {
-      players: room.players.map((p) => ({
-        id: p.id,
-        name: p.name,
-        pos: p.pos,
-        ready: p.ready,
-        sets: p.sets || 0,
-      })),
-      hostId: room.hostId,
-    });
-    updateRoomsList();
-  });
-
-  // Player toggles ready/unready
-  socket.on('setReady', ({ roomCode, ready }) => {
-    const code = roomCode;
-    const room = rooms[code];
-    if (!room) return;
-    const player = room.players.find((p) => p.id === socket.id);
-    if (!player) return;
-    player.ready = !!ready;
-    io.to(code).emit('playerList', {
-      players: room.players.map((p) => ({
-        id: p.id,
-        name: p.name,
-        pos: p.pos,
-        ready: p.ready,
-        sets: p.sets || 0,
-      })),
-      hostId: room.hostId,
-    });
+    // Failures reported by the handler itself carry a code as well
+    if (ack) {
+      packet[packet.length - 1] = (res) =>
+        ack(res && res.ok === false && !res.code ? { ...res, code: ERROR_CODES.REJECTED } : res);
+    }
+    next();
   });
 
-  // Host starts the game. Expects timer seconds; must have 4 players and all ready.
-  socket.on('startGame', ({ roomCode, turnMs }, callback) => {
-    const code = roomCode;
-    const room = rooms[code];
-    if (!room) {
-      if (callback) callback({ ok: false, error: 'Room not found.' });
+  /**
+   * Answer a register or login attempt. On success the socket is
+   * signed in and the client receives a session token to log in with
+   * next time.
+   */
+  function signIn(result, callback) {
+    if (result.error) {
+      callback({ ok: false, error: result.error });
       return;
     }
-    if (socket.id !== room.hostId) {
-      if (callback) callback({ ok: false, error: 'Only the host can start the game.' });
-      return;
+    socket.data.user = { username: result.user.username };
+    callback({ ok: true, user: result.user, token: result.token });
+  }
+
+  // Create an account and sign in to it
+  socket.on('register', async ({ username, password } = {}, callback) => {
+    if (typeof callback !== 'function') return;
+    try {
+      signIn(await accounts.register(username, password), callback);
+    } catch (err) {
+      console.error('Failed to register', err);
+      callback({ ok: false, error: 'Could not create the account. Please try again.' });
     }
-    if (room.players.length !== 4) {
-      if (callback) callback({ ok: false, error: 'Need 4 players to start.' });
-      return;
+  });
+
+  // Sign in with a password, or with the token of an earlier session
+  socket.on('login', async ({ username, password, token } = {}, callback) => {
+    if (typeof callback !== 'function') return;
+    try {
+      if (token) {
+        const user = await accounts.resumeSession(token);
+        signIn(user ? { user, token } : { error: 'Session expired. Please log in again.' }, callback);
+      } else {
+        signIn(await accounts.login(username, password), callback);
+      }
+    } catch (err) {
+      console.error('Failed to log in', err);
+      callback({ ok: false, error: 'Could not log in. Please try again.' });
     }
-    if (!room.players.every((p) => p.ready)) {
-      if (callback) callback({ ok: false, error: 'All players must be ready.' });
-      return;
+  });
+
+  socket.on('logout', async ({ token } = {}) => {
+    socket.data.user = null;
+    try {
+      await accounts.logout(token);
+    } catch (err) {
+      console.error('Failed to log out', err);
     }
-    // Set timer (milliseconds). Bound between 5s and 120s.
-    const ms = parseInt(turnMs, 10);
-    room.turnMs = Math.max(5000, Math.min(120000, ms || 20000));
-    // Reset dealer position for new game (host chooses or continue previous). Keep existing.
-    // Start first deal
-    startDeal(code);
-    if (callback) callback({ ok: true });
   });
 
-  // Player places a bid. Expects level 1–7 and suit or passes with null.
-  socket.on('placeBid', ({ roomCode, level, suit }) => {
-    const room = rooms[roomCode];
-    if (!room || room.stage !== 'bidding') return;
-    const player = room.players.find((p) => p.id === socket.id);
-    if (!player) return;
-    if (player.pos !== room.biddingTurn) {
-      socket.emit('errorMessage', { message: 'It is not your turn to bid.' });
+  // Create room. Only sets up the room; host must join to claim hostId.
+  // Private rooms stay out of the rooms list; a password keeps out
+  // anyone who has the code but was not given the password.
+  socket.on('createRoom', async ({ rules, private: isPrivate, password }) => {
+    if (!socket.data.user) {
+      socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'Log in to create a room.' });
       return;
     }
-    // Interpret pass
-    const isPass = !level || level === 0 || !suit;
-    if (isPass) {
-      handleBid(room, player, null);
+    if (password !== undefined && (typeof password !== 'string' || password.length > MAX_ROOM_PASSWORD_LENGTH)) {
+      socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: `Room passwords must be text of at most ${MAX_ROOM_PASSWORD_LENGTH} characters.` });
       return;
     }
-    const bid = { level: Number(level), suit };
-    if (bid.level < 1 || bid.level > 7 || !SUIT_RANKING.hasOwnProperty(bid.suit)) {
-      socket.emit('errorMessage', { message: 'Invalid bid.' });
+    // House rules are optional at creation and can be changed in the lobby
+    const checked = rules === undefined ? { rules: { ...DEFAULT_RULES } } : validateRules(rules);
+    if (checked.error) {
+      socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: checked.error });
       return;
     }
-    handleBid(room, player, bid);
+    try {
+      let code;
+      let created = false;
+      // Codes must be unique across every replica, so claim them atomically
+      while (!created) {
+        code = generateRoomCode();
+        created = await store.createRoom({
+          code,
+          hostId: socket.id,
+          players: [],
+          stage: 'waiting',
+          dealer: 0,
+          highestBid: null,
+          highestBidder: null,
+          passes: 0,
+          // Calls of the current deal in order, kept for the bidding table
+          auction: [],
+          // Tricks completed in the current deal, for the played-cards review
+          playedTricks: [],
+          biddingTurn: 0,
+          playingTurn: 0,
+          trumpSuit: null,
+          callCard: null,
+          declarerTeamTricks: 0,
+          defenderTeamTricks: 0,
+          currentTrick: [],
+          trumpBroken: false,
+          washDeclined: [],
+          matchResult: null,
+          spectators: [],
+          dealHands: null,
+          dealRecord: null,
+          seed: null,
+          pendingSeed: null,
+          commitment: null,
+          deals: [],
+          dealCount: 0,
+          nextDealAt: null,
+          autoDealPaused: false,
+          private: !!isPrivate,
+          // Accounts the host has kicked, and the sockets they were
+          // kicked from; they may not sit or watch here again
+          kicked: [],
+          kickedSockets: [],
+          // Most recent chat messages, oldest first
+          chat: [],
+          password: password ? hashRoomPassword(password) : null,
+          turnMs: null,
+          turnDeadline: null,
+          // Set by a majority vote; the turn clock then holds its time
+          // in pausedTurnMs
+          paused: false,
+          pausedTurnMs: null,
+          pauseVotes: [],
+          rules: checked.rules,
+          // History of completed rounds. Each entry stores declarer position,
+          // partner position, number of tricks taken by each side, and
+          // whether the contract was made. Used for scoreboard.
+          history: [],
+        });
+      }
+      socket.emit('roomCreated', { roomCode: code });
+      // Broadcast new rooms list
+      updateRoomsList();
+    } catch (err) {
+      console.error('Failed to create room', err);
+      socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'Could not create room. Please try again.' });
+    }
   });
 
-  // Declarer calls card for partner
-  socket.on('callCard', ({ roomCode, rank, suit }) => {
-    const room = rooms[roomCode];
-    if (!room || room.stage !== 'callCard') return;
-    const declarer = room.players[room.highestBidder];
-    if (!declarer || declarer.id !== socket.id) {
-      socket.emit('errorMessage', { message: 'Only the declarer can call a card.' });
+  // Join room. Players sit under their account name, once per room.
+  socket.on('joinRoom', ({ roomCode: code, password }) => {
+    if (!socket.data.user) {
+      socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'Log in to join a room.' });
       return;
     }
-    const validRanks = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14];
-    if (!validRanks.includes(Number(rank)) || !SUIT_RANKING.hasOwnProperty(suit)) {
-      socket.emit('errorMessage', { message: 'Invalid call card.' });
-      return;
-    }
-    assignPartnerAndStartPlay(roomCode, declarer.id, { rank: Number(rank), suit });
+    const trimmed = socket.data.user.username;
+    return withRoom(code, (room) => {
+      if (!room) {
+        socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'Room not found.' });
+        return;
+      }
+      if (!roomPasswordAccepted(room, socket.id, password)) {
+        socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'Wrong room password.' });
+        return;
+      }
+      if (room.kicked.includes(trimmed.toLowerCase())) {
+        socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'The host has removed you from this room.' });
+        return;
+      }
+      if (room.players.length >= 4) {
+        socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'Room is full.' });
+        return;
+      }
+      // Check duplicate names (case insensitive)
+      if (room.players.some((p) => p.name.toLowerCase() === trimmed.toLowerCase())) {
+        socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'You already have a seat in this room.' });
+        return;
+      }
+      // Add player to room
+      const player = {
+        id: socket.id,
+        name: trimmed,
+        // Account credited with this seat's results
+        username: trimmed,
+        hand: [],
+        pos: room.players.length,
+        ready: false,
+        tricks: 0,
+        // Number of sets (rounds) won by this player across all deals
+        sets: 0,
+        // Running points total across all deals
+        score: 0,
+        isDeclarer: false,
+        isPartner: false,
+        // Secret handed to this client so it can reclaim the seat after a drop
+        token: crypto.randomBytes(16).toString('hex'),
+        connected: true,
+        graceDeadline: null,
+      };
+      room.players.push(player);
+      // A spectator taking a free seat stops watching
+      if (room.spectators.some((s) => s.id === socket.id)) {
+        room.spectators = room.spectators.filter((s) => s.id !== socket.id);
+        socket.leave(spectatorChannel(code));
+        socket.data.spectator = false;
+        broadcastSpectators(room);
+      }
+      socket.join(code);
+      socket.data.roomCode = code;
+      socket.emit('joinedRoom', { roomCode: code, pos: player.pos, token: player.token });
+      socket.emit('roomSettings', { rules: room.rules });
+      socket.emit('chatHistory', { messages: room.chat });
+      // Send player list (the rooms list is refreshed once the update is saved)
+      broadcastPlayerList(room);
+    });
   });
 
-  // Player plays a card
-  socket.on('playCard', ({ roomCode, card }) => {
-    const room = rooms[roomCode];
-    if (!room || room.stage !== 'playing') return;
-    const player = room.players.find((p) => p.id === socket.id);
-    if (!player) return;
-    if (player.pos !== room.playingTurn) {
-      socket.emit('errorMessage', { message: 'It is not your turn to play.' });
+  // Watch a room without taking a seat. Spectators receive the public
+  // events of the room but never anyone's cards.
+  socket.on('spectateRoom', ({ roomCode: code, name, password }) => {
+    // Watching needs no account; logged-in spectators use their username
+    const trimmed = socket.data.user ? socket.data.user.username : (name || '').trim();
+    if (!trimmed) {
+      socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'Name required.' });
       return;
     }
-    // Convert card string (e.g., '7D') back to object
-    const rankStr = card.slice(0, -1);
-    const suit = card.slice(-1);
-    let rank;
-    if (rankStr === 'A') rank = 14;
-    else if (rankStr === 'K') rank = 13;
-    else if (rankStr === 'Q') rank = 12;
-    else if (rankStr === 'J') rank = 11;
-    else rank = Number(rankStr);
-    handlePlay(room, player, { suit, rank });
+    return withRoom(code, (room) => {
+      if (!room) {
+        socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'Room not found.' });
+        return;
+      }
+      if (room.players.some((p) => p.id === socket.id) || room.spectators.some((s) => s.id === socket.id)) {
+        socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'You are already in this room.' });
+        return;
+      }
+      if (!roomPasswordAccepted(room, socket.id, password)) {
+        socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'Wrong room password.' });
+        return;
+      }
+      if (room.kicked.includes(trimmed.toLowerCase()) || (room.kickedSockets || []).includes(socket.id)) {
+        socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'The host has removed you from this room.' });
+        return;
+      }
+      if (room.spectators.length >= MAX_SPECTATORS) {
+        socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: 'Too many spectators in this room.' });
+        return;
+      }
+      room.spectators.push({ id: socket.id, name: trimmed });
+      socket.join(code);
+      socket.join(spectatorChannel(code));
+      socket.data.roomCode = code;
+      socket.data.spectator = true;
+      socket.emit('roomSettings', { rules: room.rules });
+      socket.emit('gameState', buildGameState(room, null));
+      socket.emit('chatHistory', { messages: room.chat });
+      io.to(code).emit('message', { message: `${trimmed} is watching.` });
+      broadcastSpectators(room);
+    });
   });
 
+  // Reclaim a held seat using the token issued by joinRoom
+  socket.on('rejoinRoom', ({ roomCode: code, token }, callback) => {
+    return withRoom(code, (room) => {
+      const player = room && token ? room.players.find((p) => p.token === token) : null;
+      if (!player) {
+        if (callback) callback({ ok: false, error: 'Seat no longer available.' });
+        return;
+      }
+      const oldId = player.id;
+      player.graceDeadline = null;
+      // Detach any stale socket still holding the seat (e.g. a second tab)
+      if (oldId !== socket.id) io.in(oldId).socketsLeave(code);
+      player.id = socket.id;
+      player.connected = true;
+      if (room.hostId === oldId) room.hostId = socket.id;
+      // Take the seat back from a bot that was covering it
+      if (player.isBot) {
+        player.isBot = false;
+        if (currentActor(room) === player) startTurnTimer(room);
+      }
+      socket.join(code);
+      socket.data.roomCode = code;
+      if (callback) callback({ ok: true });
+      socket.emit('gameState', buildGameState(room, player));
+      socket.emit('chatHistory', { messages: room.chat });
+      io.to(code).emit('message', { message: `${player.name} reconnected.` });
+      broadcastPlayerList(room);
+    });
+  });
+
+  // Player toggles ready/unready
+  socket.on('setReady', ({ roomCode, ready }) =>
+    withRoom(roomCode, (room) => {
+      if (!room) return;
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      player.ready = !!ready;
+      broadcastPlayerList(room);
+    }),
+  );
+
+  // Host changes the room's house rules while waiting between deals
+  socket.on('updateSettings', ({ roomCode, rules }, callback) =>
+    withRoom(roomCode, (room) => {
+      if (!room) {
+        if (callback) callback({ ok: false, error: 'Room not found.' });
+        return;
+      }
+      if (socket.id !== room.hostId) {
+        if (callback) callback({ ok: false, error: 'Only the host can change the rules.' });
+        return;
+      }
+      if (room.stage !== 'waiting') {
+        if (callback) callback({ ok: false, error: 'Rules can only be changed between deals.' });
+        return;
+      }
+      const checked = validateRules(rules, room.rules);
+      if (checked.error) {
+        if (callback) callback({ ok: false, error: checked.error });
+        return;
+      }
+      if (matchRulesChanged(room, checked.rules)) {
+        if (callback) callback({ ok: false, error: 'The match format cannot change once the match has started.' });
+        return;
+      }
+      room.rules = checked.rules;
+      broadcastSettings(room);
+      if (callback) callback({ ok: true });
+    }),
+  );
+
+  // Host starts the game. Expects timer seconds and optionally the
+  // house rules to play with and a seed to replay a known deal; must
+  // have 4 players and all ready.
+  socket.on('startGame', ({ roomCode, turnMs, rules, seed }, callback) =>
+    withRoom(roomCode, (room) => {
+      if (!room) {
+        if (callback) callback({ ok: false, error: 'Room not found.' });
+        return;
+      }
+      if (socket.id !== room.hostId) {
+        if (callback) callback({ ok: false, error: 'Only the host can start the game.' });
+        return;
+      }
+      if (room.players.length !== 4) {
+        if (callback) callback({ ok: false, error: 'Need 4 players to start.' });
+        return;
+      }
+      if (!room.players.every((p) => p.ready)) {
+        if (callback) callback({ ok: false, error: 'All players must be ready.' });
+        return;
+      }
+      if (!room.players.every((p) => p.connected !== false || p.isBot)) {
+        if (callback) callback({ ok: false, error: 'Waiting for disconnected players to return.' });
+        return;
+      }
+      if (room.stage === 'finished') {
+        if (callback) callback({ ok: false, error: 'The match is over. Start a rematch to play again.' });
+        return;
+      }
+      if (room.stage !== 'waiting') {
+        if (callback) callback({ ok: false, error: 'A deal can only start between deals.' });
+        return;
+      }
+      if (rules !== undefined) {
+        const checked = validateRules(rules, room.rules);
+        if (checked.error) {
+          if (callback) callback({ ok: false, error: checked.error });
+          return;
+        }
+        if (matchRulesChanged(room, checked.rules)) {
+          if (callback) callback({ ok: false, error: 'The match format cannot change once the match has started.' });
+          return;
+        }
+        room.rules = checked.rules;
+        broadcastSettings(room);
+      }
+      if (seed !== undefined && seed !== null && seed !== '') {
+        if (typeof seed !== 'string' || seed.length > 128) {
+          if (callback) callback({ ok: false, error: 'Seed must be text of at most 128 characters.' });
+          return;
+        }
+        room.pendingSeed = seed;
+      }
+      // Set timer (milliseconds). Bound between 5s and 120s.
+      const ms = parseInt(turnMs, 10);
+      room.turnMs = Math.max(5000, Math.min(120000, ms || 20000));
+      // Reset dealer position for new game (host chooses or continue previous). Keep existing.
+      // Start first deal
+      const error = startDeal(room);
+      if (callback) callback(error ? { ok: false, error } : { ok: true });
+    }),
+  );
+
+  // Player places a bid. Expects level 1–7 and suit or passes with null.
+  socket.on('placeBid', ({ roomCode, level, suit }) =>
+    withRoom(roomCode, (room) => {
+      if (!room) return;
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      // Interpret pass
+      const isPass = !level || !suit;
+      actFor(room, socket, { type: 'bid', seat: player.pos, bid: isPass ? null : { level, suit } });
+    }),
+  );
+
+  // Declarer calls card for partner
+  socket.on('callCard', ({ roomCode, rank, suit }) =>
+    withRoom(roomCode, (room) => {
+      if (!room) return;
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      actFor(room, socket, { type: 'callCard', seat: player.pos, card: { rank, suit } });
+    }),
+  );
+
+  // Player plays a card
+  socket.on('playCard', ({ roomCode, card }) =>
+    withRoom(roomCode, (room) => {
+      if (!room) return;
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      actFor(room, socket, { type: 'play', seat: player.pos, card: game.parseCard(card) });
+    }),
+  );
+
+  // Host starts a new match after the previous one finished
+  socket.on('rematch', ({ roomCode }, callback) =>
+    withRoom(roomCode, (room) => {
+      if (!room) {
+        if (callback) callback({ ok: false, error: 'Room not found.' });
+        return;
+      }
+      if (socket.id !== room.hostId) {
+        if (callback) callback({ ok: false, error: 'Only the host can start a rematch.' });
+        return;
+      }
+      const error = act(room, { type: 'rematch' });
+      if (callback) callback(error ? { ok: false, error } : { ok: true });
+    }),
+  );
+
+  // Any seated player can hold the automatic next deal, e.g. for a break
+  socket.on('pauseAutoDeal', ({ roomCode }) =>
+    withRoom(roomCode, (room) => {
+      if (!room || !room.nextDealAt) return;
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      room.nextDealAt = null;
+      room.autoDealPaused = true;
+      io.to(roomCode).emit('autoDealPaused', { player: player.pos });
+      io.to(roomCode).emit('message', { message: `${player.name} paused the next deal.` });
+    }),
+  );
+
+  // Any seated player can restart the countdown to the next deal
+  socket.on('resumeAutoDeal', ({ roomCode }) =>
+    withRoom(roomCode, (room) => {
+      if (!room || !room.autoDealPaused || room.stage !== 'waiting') return;
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      io.to(roomCode).emit('message', { message: `${player.name} resumed play.` });
+      scheduleNextDeal(room);
+    }),
+  );
+
+  // Seated player votes to pause the deal or to resume it
+  socket.on('votePause', ({ roomCode, pause }) =>
+    withRoom(roomCode, (room) => {
+      if (!room) return;
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      const error = votePause(room, player, pause);
+      if (error) socket.emit('errorMessage', { code: ERROR_CODES.REJECTED, message: error });
+    }),
+  );
+
+  // Player claims some of the remaining tricks, showing their hand
+  socket.on('claimTricks', ({ roomCode, tricks }) =>
+    withRoom(roomCode, (room) => {
+      if (!room) return;
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      actFor(room, socket, { type: 'claim', seat: player.pos, tricks });
+    }),
+  );
+
+  // Player accepts or rejects another player's claim
+  socket.on('answerClaim', ({ roomCode, accept }) =>
+    withRoom(roomCode, (room) => {
+      if (!room) return;
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      actFor(room, socket, { type: 'answerClaim', seat: player.pos, accept });
+    }),
+  );
+
+  // Player with a weak hand asks for a redeal during the wash window
+  socket.on('requestWash', ({ roomCode }) =>
+    withRoom(roomCode, (room) => {
+      if (!room) return;
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      actFor(room, socket, { type: 'wash', seat: player.pos });
+    }),
+  );
+
+  // Eligible player keeps their hand; bidding starts once everyone eligible has decided
+  socket.on('declineWash', ({ roomCode }) =>
+    withRoom(roomCode, (room) => {
+      if (!room) return;
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      actFor(room, socket, { type: 'declineWash', seat: player.pos });
+    }),
+  );
+
+  // Host fills an empty seat with a bot
+  socket.on('addBot', ({ roomCode }, callback) =>
+    withRoom(roomCode, (room) => {
+      if (!room) {
+        if (callback) callback({ ok: false, error: 'Room not found.' });
+        return;
+      }
+      if (socket.id !== room.hostId) {
+        if (callback) callback({ ok: false, error: 'Only the host can add bots.' });
+        return;
+      }
+      if (room.stage !== 'waiting' || room.players.length >= 4) {
+        if (callback) callback({ ok: false, error: 'No empty seat for a bot.' });
+        return;
+      }
+      room.players.push(createBot(room));
+      broadcastPlayerList(room);
+      if (callback) callback({ ok: true });
+    }),
+  );
+
+  // Host removes a bot between deals, freeing its seat
+  socket.on('removeBot', ({ roomCode, pos }, callback) =>
+    withRoom(roomCode, (room) => {
+      if (!room) {
+        if (callback) callback({ ok: false, error: 'Room not found.' });
+        return;
+      }
+      if (socket.id !== room.hostId) {
+        if (callback) callback({ ok: false, error: 'Only the host can remove bots.' });
+        return;
+      }
+      const bot = room.players[pos];
+      if (!bot || !bot.isBot || room.stage !== 'waiting') {
+        if (callback) callback({ ok: false, error: 'That seat is not a bot.' });
+        return;
+      }
+      removePlayer(room, bot);
+      if (callback) callback({ ok: true });
+    }),
+  );
+
+  // Chat with everyone in the room, by free text or a quick reaction.
+  // The host may keep spectators out of the chat.
+  socket.on('sendChat', ({ roomCode, text, reaction }, callback) =>
+    withRoom(roomCode, (room) => {
+      if (!room) {
+        if (callback) callback({ ok: false, error: 'Room not found.' });
+        return;
+      }
+      const player = room.players.find((p) => p.id === socket.id);
+      const spectator = !player && room.spectators.find((s) => s.id === socket.id);
+      if (!player && !spectator) {
+        if (callback) callback({ ok: false, error: 'You are not in this room.' });
+        return;
+      }
+      if (spectator && !room.rules.spectatorChat) {
+        if (callback) callback({ ok: false, error: 'The host has turned off chat for spectators.' });
+        return;
+      }
+      const now = Date.now();
+      const recent = (socket.data.chatTimes || []).filter((t) => now - t < CHAT_RATE_WINDOW_MS);
+      if (recent.length >= CHAT_RATE_COUNT) {
+        if (callback) callback({ ok: false, error: 'You are sending messages too quickly.' });
+        return;
+      }
+      const prepared = prepareChatMessage({ text, reaction });
+      if (prepared.error) {
+        if (callback) callback({ ok: false, error: prepared.error });
+        return;
+      }
+      socket.data.chatTimes = [...recent, now];
+      const message = {
+        name: (player || spectator).name,
+        text: prepared.text,
+        reaction: prepared.reaction || null,
+        spectator: !!spectator,
+        at: now,
+      };
+      room.chat.push(message);
+      if (room.chat.length > CHAT_HISTORY_SIZE) room.chat.shift();
+      io.to(room.code).emit('chatMessage', message);
+      if (callback) callback({ ok: true });
+    }),
+  );
+
+  // Remove a human player from the room between deals. Their account
+  // may not take a seat here again.
+  socket.on('kickPlayer', ({ roomCode, pos }, callback) =>
+    withRoom(roomCode, (room) => {
+      if (!room) {
+        if (callback) callback({ ok: false, error: 'Room not found.' });
+        return;
+      }
+      if (socket.id !== room.hostId) {
+        if (callback) callback({ ok: false, error: 'Only the host can kick players.' });
+        return;
+      }
+      const player = room.players[pos];
+      if (!player || player.isBot || player.id === socket.id) {
+        if (callback) callback({ ok: false, error: 'That seat cannot be kicked.' });
+        return;
+      }
+      if (room.stage !== 'waiting' && room.stage !== 'finished') {
+        if (callback) callback({ ok: false, error: 'Players can only be kicked between deals.' });
+        return;
+      }
+      if (player.username) room.kicked.push(player.username.toLowerCase());
+      room.kickedSockets = [...(room.kickedSockets || []), player.id];
+      io.to(player.id).emit('kicked', { roomCode: room.code });
+      io.in(player.id).socketsLeave(room.code);
+      removePlayer(room, player);
+      if (callback) callback({ ok: true });
+    }),
+  );
+
+  // Make another connected human at the table the host
+  socket.on('transferHost', ({ roomCode, pos }, callback) =>
+    withRoom(roomCode, (room) => {
+      if (!room) {
+        if (callback) callback({ ok: false, error: 'Room not found.' });
+        return;
+      }
+      if (socket.id !== room.hostId) {
+        if (callback) callback({ ok: false, error: 'Only the host can hand over the room.' });
+        return;
+      }
+      const player = room.players[pos];
+      if (!player || player.isBot || player.connected === false || player.id === socket.id) {
+        if (callback) callback({ ok: false, error: 'That player cannot become host.' });
+        return;
+      }
+      room.hostId = player.id;
+      io.to(room.code).emit('message', { message: `${player.name} is now the host.` });
+      broadcastPlayerList(room);
+      if (callback) callback({ ok: true });
+    }),
+  );
+
+  // Exchange two seats before the first deal. Seat order decides who
+  // deals and who bids and plays first, so it is fixed once play starts.
+  socket.on('swapSeats', ({ roomCode, from, to }, callback) =>
+    withRoom(roomCode, (room) => {
+      if (!room) {
+        if (callback) callback({ ok: false, error: 'Room not found.' });
+        return;
+      }
+      if (socket.id !== room.hostId) {
+        if (callback) callback({ ok: false, error: 'Only the host can move players.' });
+        return;
+      }
+      if (room.stage !== 'waiting' || room.history.length > 0) {
+        if (callback) callback({ ok: false, error: 'Seats can only change before the first deal.' });
+        return;
+      }
+      const a = room.players[from];
+      const b = room.players[to];
+      if (!a || !b || from === to) {
+        if (callback) callback({ ok: false, error: 'Pick two different occupied seats.' });
+        return;
+      }
+      room.players[from] = b;
+      room.players[to] = a;
+      a.pos = to;
+      b.pos = from;
+      broadcastPlayerList(room);
+      if (callback) callback({ ok: true });
+    }),
+  );
+
+  // Host hands a disconnected player's seat to a bot without waiting out the grace period
+  socket.on('botTakeover', ({ roomCode, pos }, callback) =>
+    withRoom(roomCode, (room) => {
+      if (!room) {
+        if (callback) callback({ ok: false, error: 'Room not found.' });
+        return;
+      }
+      if (socket.id !== room.hostId) {
+        if (callback) callback({ ok: false, error: 'Only the host can do that.' });
+        return;
+      }
+      const player = room.players[pos];
+      if (!player || player.connected !== false || player.isBot || room.stage === 'waiting') {
+        if (callback) callback({ ok: false, error: 'That player is not disconnected mid-deal.' });
+        return;
+      }
+      botTakeover(room, player);
+      if (callback) callback({ ok: true });
+    }),
+  );
+
   // Player toggles name (not used currently)
 
   // On disconnect
   socket.on('disconnect', () => {
-    // Remove the player from any room they belonged to
-    for (const code of Object.keys(rooms)) {
-      const room = rooms[code];
-      const index = room.players.findIndex((p) => p.id === socket.id);
-      if (index !== -1) {
-        const [removed] = room.players.splice(index, 1);
-        // Inform remaining players
-        io.to(code).emit('message', { message: `${removed.name} has left the game.` });
-        io.to(code).emit('playerList', {
-          players: room.players.map((p) => ({
-            id: p.id,
-            name: p.name,
-            pos: p.pos,
-            ready: p.ready,
-            sets: p.sets || 0,
-          })),
-          hostId: room.hostId,
-        });
-        // Reset room state if game was active
-        room.stage = 'waiting';
-        room.highestBid = null;
-        room.highestBidder = null;
-        room.passes = 0;
-        room.trumpSuit = null;
-        room.callCard = null;
-        room.declarerTeamTricks = 0;
-        room.defenderTeamTricks = 0;
-        room.currentTrick = [];
-        clearTimeout(room.turnTimer);
-        room.turnTimer = null;
-        updateRoomsList();
-        // If no players remain in the room, remove it entirely
-        if (room.players.length === 0) {
-          delete rooms[code];
-          updateRoomsList();
-        }
-        break;
+    const code = socket.data.roomCode;
+    if (!code) return;
+    return withRoom(code, (room) => {
+      if (!room) return;
+      if (socket.data.spectator) {
+        room.spectators = room.spectators.filter((s) => s.id !== socket.id);
+        broadcastSpectators(room);
+        return;
       }
-    }
+      const player = room.players.find((p) => p.id === socket.id);
+      if (!player) return;
+      // Before anything has been dealt the seat is simply freed
+      if (room.stage === 'waiting' && room.history.length === 0) {
+        removePlayer(room, player);
+        return;
+      }
+      // Otherwise hold the seat, hand and tricks for a grace period
+      player.connected = false;
+      player.graceDeadline = Date.now() + RECONNECT_GRACE_MS;
+      io.to(code).emit('message', {
+        message: `${player.name} disconnected. Holding their seat for ${Math.round(RECONNECT_GRACE_MS / 1000)}s.`,
+      });
+      // Someone who is still here takes over as host
+      if (player.id === room.hostId) reassignHost(room);
+      broadcastPlayerList(room);
+      countPauseVotes(room);
+    });
   });
 });
 
-// Start listening on the specified port
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server listening on port ${PORT}`);
-});
\ No newline at end of file
+/**
+ * Connect to Redis when REDIS_URL is set, attaching the Socket.IO
+ * adapter so broadcasts reach sockets on every replica and switching
+ * room state, accounts and ratings to the shared Redis store. Then start the deadline poller
+ * and begin listening.
+ */
+async function start() {
+  const redisUrl = process.env.REDIS_URL;
+  if (redisUrl) {
+    const pubClient = createClient({ url: redisUrl });
+    const subClient = pubClient.duplicate();
+    pubClient.on('error', (err) => console.error('Redis error', err));
+    subClient.on('error', (err) => console.error('Redis error', err));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(pubClient, subClient));
+    store = createRedisStore(pubClient);
+    accounts = createAccountStore(createRedisAccountBackend(pubClient));
+    ratings = createRatingStore(createRedisRatingBackend(pubClient));
+    console.log('Room state, accounts and ratings stored in Redis');
+  }
+  setInterval(processDueTimers, TIMER_POLL_MS);
+  // Start listening on the specified port
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    console.log(`Server listening on port ${PORT}`);
+  });
+}
+
+start().catch((err) => {
+  console.error('Failed to start server', err);
+  process.exit(1);
+});
@@ -0,0 +1,179 @@
+/**
+ * Room state storage shared by every server replica.
+ *
+ * Rooms are kept as JSON documents so that any pod behind the load
+ * balancer can pick up an event for any room. Each mutation runs under
+ * a per-room lock (load → mutate → save) and every room may carry a
+ * `wakeAt` timestamp which is indexed so that turn and reconnect
+ * deadlines can be processed by whichever pod polls first, even after
+ * the pod that set them has restarted.
+ *
+ * Two backends implement the same async interface:
+ *  - createRedisStore(client): used when REDIS_URL is configured
+ *  - createMemoryStore(): single-process fallback for local play
+ */
+
+const crypto = require('crypto');
+
+const ROOM_PREFIX = 'bridge:room:';
+const LOCK_PREFIX = 'bridge:lock:';
+const ROOMS_KEY = 'bridge:rooms';
+const TIMERS_KEY = 'bridge:timers';
+
+// Abandoned rooms expire from Redis after a day of inactivity
+const ROOM_TTL_SECONDS = 24 * 60 * 60;
+// A lock is released automatically if its holder dies mid-update
+const LOCK_TTL_MS = 5000;
+const LOCK_RETRY_MS = 20;
+
+// Only delete the lock if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a store backed by Redis. The client must already be
+ * connected. Room documents live under `bridge:room:<code>`, the set
+ * of codes under `bridge:rooms` and pending deadlines in the sorted
+ * set `bridge:timers`.
+ *
+ * @param {import('redis').RedisClientType} client
+ */
+function createRedisStore(client) {
+  async function getRoom(code) {
+    const raw = await client.get(ROOM_PREFIX + code);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async function saveRoom(room) {
+    await client.set(ROOM_PREFIX + room.code, JSON.stringify(room), {
+      expiration: { type: 'EX', value: ROOM_TTL_SECONDS },
+    });
+    await client.sAdd(ROOMS_KEY, room.code);
+    if (typeof room.wakeAt === 'number') {
+      await client.zAdd(TIMERS_KEY, { score: room.wakeAt, value: room.code });
+    } else {
+      await client.zRem(TIMERS_KEY, room.code);
+    }
+  }
+
+  async function createRoom(room) {
+    const created = await client.set(ROOM_PREFIX + room.code, JSON.stringify(room), {
+      condition: 'NX',
+      expiration: { type: 'EX', value: ROOM_TTL_SECONDS },
+    });
+    if (created !== 'OK') return false;
+    await client.sAdd(ROOMS_KEY, room.code);
+    return true;
+  }
+
+  async function deleteRoom(code) {
+    await client.del(ROOM_PREFIX + code);
+    await client.sRem(ROOMS_KEY, code);
+    await client.zRem(TIMERS_KEY, code);
+  }
+
+  async function listRooms() {
+    const codes = await client.sMembers(ROOMS_KEY);
+    if (codes.length === 0) return [];
+    const docs = await client.mGet(codes.map((code) => ROOM_PREFIX + code));
+    const rooms = [];
+    docs.forEach((raw, i) => {
+      if (raw) rooms.push(JSON.parse(raw));
+      // Drop codes whose document expired
+      else client.sRem(ROOMS_KEY, codes[i]).catch(() => {});
+    });
+    return rooms;
+  }
+
+  async function dueRooms(now) {
+    return client.zRangeByScore(TIMERS_KEY, 0, now);
+  }
+
+  async function lock(code) {
+    const key = LOCK_PREFIX + code;
+    const token = crypto.randomBytes(8).toString('hex');
+    const giveUpAt = Date.now() + LOCK_TTL_MS;
+    for (;;) {
+      const ok = await client.set(key, token, {
+        condition: 'NX',
+        expiration: { type: 'PX', value: LOCK_TTL_MS },
+      });
+      if (ok === 'OK') break;
+      if (Date.now() > giveUpAt) throw new Error(`Timed out waiting for lock on room ${code}`);
+      await sleep(LOCK_RETRY_MS);
+    }
+    return async () => {
+      await client.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [token] });
+    };
+  }
+
+  return { getRoom, saveRoom, createRoom, deleteRoom, listRooms, dueRooms, lock };
+}
+
+/**
+ * Create an in-process store with the same interface as the Redis
+ * store. Rooms are stored serialised so callers always work on a copy,
+ * exactly as they would when reading from Redis.
+ */
+function createMemoryStore() {
+  const docs = new Map();
+  const timers = new Map();
+  const locks = new Map();
+
+  async function getRoom(code) {
+    const raw = docs.get(code);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async function saveRoom(room) {
+    docs.set(room.code, JSON.stringify(room));
+    if (typeof room.wakeAt === 'number') timers.set(room.code, room.wakeAt);
+    else timers.delete(room.code);
+  }
+
+  async function createRoom(room) {
+    if (docs.has(room.code)) return false;
+    docs.set(room.code, JSON.stringify(room));
+    return true;
+  }
+
+  async function deleteRoom(code) {
+    docs.delete(code);
+    timers.delete(code);
+  }
+
+  async function listRooms() {
+    return Array.from(docs.values()).map((raw) => JSON.parse(raw));
+  }
+
+  async function dueRooms(now) {
+    return Array.from(timers.entries())
+      .filter(([, at]) => at <= now)
+      .map(([code]) => code);
+  }
+
+  // Chain callers per room so updates run one at a time
+  async function lock(code) {
+    const previous = locks.get(code) || Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    locks.set(code, tail);
+    await previous;
+    return async () => {
+      release();
+      if (locks.get(code) === tail) locks.delete(code);
+    };
+  }
+
+  return { getRoom, saveRoom, createRoom, deleteRoom, listRooms, dueRooms, lock };
+}
+
+module.exports = { createRedisStore, createMemoryStore };
@@ -0,0 +1,478 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyAction, botWantsWash, claimIsTrivial, evaluateTrick, parseCard } = require('../game');
+
+const cards = (text) => (text ? text.split(' ').map(parseCard) : []);
+
+// A full table waiting for its first deal, as createRoom and four
+// joins would leave it
+function newRoom(rules = {}) {
+  return {
+    code: 'TEST1',
+    hostId: 'p0',
+    players: [0, 1, 2, 3].map((pos) => ({
+      id: `p${pos}`,
+      name: `P${pos}`,
+      pos,
+      hand: [],
+      ready: true,
+      tricks: 0,
+      sets: 0,
+      score: 0,
+      isDeclarer: false,
+      isPartner: false,
+    })),
+    stage: 'waiting',
+    dealer: 0,
+    highestBid: null,
+    highestBidder: null,
+    passes: 0,
+    auction: [],
+    playedTricks: [],
+    biddingTurn: 0,
+    playingTurn: 0,
+    trumpSuit: null,
+    callCard: null,
+    declarerTeamTricks: 0,
+    defenderTeamTricks: 0,
+    currentTrick: [],
+    trumpBroken: false,
+    washDeclined: [],
+    matchResult: null,
+    dealHands: null,
+    dealRecord: null,
+    seed: null,
+    pendingSeed: null,
+    commitment: null,
+    deals: [],
+    dealCount: 0,
+    turnMs: 20000,
+    history: [],
+    rules: {
+      noTrumpLead: 'left',
+      allowSelfCall: true,
+      trumpBreaking: true,
+      allowWash: false,
+      maxBidLevel: 7,
+      matchFormat: 'open',
+      matchTarget: 5,
+      autoDeal: false,
+      spectatorsSeeHands: false,
+      playedCardsTracker: true,
+      ...rules,
+    },
+  };
+}
+
+// Seeds handed out in order, so deals are repeatable
+function seeds() {
+  let n = 0;
+  return () => `seed-${++n}`;
+}
+
+// Apply actions one after another, failing on any refusal
+function run(state, actions, env = { now: 0, createSeed: seeds() }) {
+  const events = [];
+  for (const action of actions) {
+    const result = applyAction(state, action, env);
+    assert.equal(result.error, undefined, `${action.type}: ${result.error}`);
+    state = result.state;
+    events.push(...result.events);
+  }
+  return { state, events };
+}
+
+const named = (events, name) => events.filter((e) => e.name === name);
+const refusal = (state, action) => applyAction(state, action).error;
+
+// The auction is over and the declarer is about to call a card; the
+// earlier tricks of the deal are already counted
+function contractWon({ hands, declarer, contract, declarerTeamTricks = 0, rules }) {
+  const state = newRoom(rules);
+  hands.forEach((hand, pos) => {
+    state.players[pos].hand = cards(hand);
+  });
+  state.stage = 'callCard';
+  state.highestBid = contract;
+  state.highestBidder = declarer;
+  state.trumpSuit = contract.suit === 'N' ? null : contract.suit;
+  state.declarerTeamTricks = declarerTeamTricks;
+  state.defenderTeamTricks = 13 - declarerTeamTricks - state.players[0].hand.length;
+  state.dealRecord = { auction: [], callCard: null, tricks: [] };
+  return state;
+}
+
+test('a deal gives every player 13 cards and opens the auction', () => {
+  const before = newRoom();
+  const { state, events } = run(before, [{ type: 'deal' }]);
+  assert.equal(state.stage, 'bidding');
+  assert.equal(state.biddingTurn, 1);
+  assert.deepEqual(
+    state.players.map((p) => p.hand.length),
+    [13, 13, 13, 13],
+  );
+  const dealt = new Set(state.players.flatMap((p) => p.hand.map((c) => c.suit + c.rank)));
+  assert.equal(dealt.size, 52);
+  assert.deepEqual(
+    named(events, 'dealCards').map((e) => e.to),
+    [0, 1, 2, 3],
+  );
+  assert.equal(state.seed, 'seed-1');
+  // The state passed in is left alone
+  assert.equal(before.stage, 'waiting');
+  assert.equal(before.players[0].hand.length, 0);
+  // The same seed always deals the same hands
+  assert.deepEqual(run(newRoom(), [{ type: 'deal' }]).state.dealHands, state.dealHands);
+});
+
+test('three passes after a bid end the auction', () => {
+  const { state, events } = run(newRoom(), [
+    { type: 'deal' },
+    { type: 'bid', seat: 1, bid: { level: 1, suit: 'C' } },
+    { type: 'bid', seat: 2, bid: null },
+    { type: 'bid', seat: 3, bid: { level: 2, suit: 'H' } },
+    { type: 'bid', seat: 0, bid: null },
+    { type: 'bid', seat: 1, bid: null },
+    { type: 'bid', seat: 2, bid: null },
+  ]);
+  assert.equal(state.stage, 'callCard');
+  assert.equal(state.highestBidder, 3);
+  assert.equal(state.trumpSuit, 'H');
+  assert.equal(state.dealRecord.auction.length, 6);
+  const auction = [
+    { player: 1, bid: { level: 1, suit: 'C' } },
+    { player: 2, bid: null },
+    { player: 3, bid: { level: 2, suit: 'H' } },
+    { player: 0, bid: null },
+    { player: 1, bid: null },
+    { player: 2, bid: null },
+  ];
+  assert.deepEqual(state.auction, auction);
+  assert.deepEqual(named(events, 'biddingComplete')[0].data, {
+    highestBid: { level: 2, suit: 'H' },
+    declarer: 3,
+    trumpSuit: 'H',
+    auction,
+  });
+  assert.deepEqual(named(events, 'yourTurnToCall'), [
+    { to: 3, name: 'yourTurnToCall', data: { allowSelfCall: true } },
+  ]);
+  assert.deepEqual(
+    named(events, 'waitingForCall').map((e) => e.to),
+    [0, 1, 2],
+  );
+});
+
+test('four passes redeal with the next dealer', () => {
+  const { state, events } = run(newRoom(), [
+    { type: 'deal' },
+    ...[1, 2, 3, 0].map((seat) => ({ type: 'bid', seat, bid: null })),
+  ]);
+  assert.equal(state.stage, 'bidding');
+  assert.equal(state.dealer, 1);
+  assert.equal(state.biddingTurn, 2);
+  assert.equal(state.passes, 0);
+  assert.deepEqual(state.auction, []);
+  assert.equal(state.seed, 'seed-2');
+  assert.deepEqual(named(events, 'seedRevealed')[0].data.seed, 'seed-1');
+  assert.equal(named(events, 'dealStarted').length, 2);
+  assert.equal(state.deals.length, 0);
+});
+
+test('bids out of turn, too low or above the ceiling are refused', () => {
+  const { state } = run(newRoom({ maxBidLevel: 3 }), [
+    { type: 'deal' },
+    { type: 'bid', seat: 1, bid: { level: 2, suit: 'S' } },
+  ]);
+  const refused = [
+    [{ type: 'bid', seat: 3, bid: null }, 'It is not your turn to bid.'],
+    [{ type: 'bid', seat: 2, bid: { level: 2, suit: 'D' } }, 'Bid must be higher than the current bid.'],
+    [{ type: 'bid', seat: 2, bid: { level: 4, suit: 'C' } }, 'Bids above 3 are not allowed in this room.'],
+    [{ type: 'bid', seat: 2, bid: { level: 3, suit: 'X' } }, 'Invalid bid.'],
+    [{ type: 'play', seat: 2, card: { suit: 'S', rank: 2 } }, 'No trick is being played.'],
+  ];
+  for (const [action, error] of refused) {
+    const result = applyAction(state, action);
+    assert.equal(result.error, error);
+    assert.equal(result.state, state);
+    assert.deepEqual(result.events, []);
+  }
+});
+
+test('trumps win a trick; in No Trump the highest card of the led suit wins', () => {
+  const trick = [
+    { player: 0, card: { suit: 'C', rank: 2 } },
+    { player: 1, card: { suit: 'S', rank: 3 } },
+    { player: 2, card: { suit: 'C', rank: 14 } },
+    { player: 3, card: { suit: 'H', rank: 14 } },
+  ];
+  assert.equal(evaluateTrick(trick, 'S'), 1);
+  assert.equal(evaluateTrick(trick, 'H'), 3);
+  assert.equal(evaluateTrick(trick, null), 2);
+  assert.equal(evaluateTrick(trick, 'D'), 2);
+});
+
+test('playing the called card reveals the partner', () => {
+  const state = contractWon({
+    hands: ['KH 5D', '2C 6D', 'AH 7D', '3C 8D'],
+    declarer: 0,
+    contract: { level: 1, suit: 'H' },
+    declarerTeamTricks: 5,
+  });
+  const called = run(state, [{ type: 'callCard', seat: 0, card: { rank: 14, suit: 'H' } }]);
+  assert.equal(called.state.stage, 'playing');
+  assert.equal(called.state.playingTurn, 1);
+  assert.equal(called.state.partnerRevealed, false);
+  assert.deepEqual(named(called.events, 'youArePartner'), [{ to: 2, name: 'youArePartner' }]);
+  // Seat 2 has no clubs and trumps with the called ace
+  const { state: after, events } = run(called.state, [
+    { type: 'play', seat: 1, card: { suit: 'C', rank: 2 } },
+    { type: 'play', seat: 2, card: { suit: 'H', rank: 14 } },
+    { type: 'play', seat: 3, card: { suit: 'C', rank: 3 } },
+    { type: 'play', seat: 0, card: { suit: 'H', rank: 13 } },
+  ]);
+  assert.deepEqual(named(events, 'partnerRevealed')[0].data, { partner: 2 });
+  assert.deepEqual(named(events, 'trumpBroken')[0].data, { player: 2 });
+  assert.equal(after.partnerPos, 2);
+  assert.equal(named(events, 'trickComplete')[0].data.winner, 2);
+  assert.equal(after.declarerTeamTricks, 6);
+  assert.equal(after.playingTurn, 2);
+  assert.deepEqual(after.playedTricks, [
+    {
+      cards: [
+        { player: 1, card: '2C' },
+        { player: 2, card: 'AH' },
+        { player: 3, card: '3C' },
+        { player: 0, card: 'KH' },
+      ],
+      winner: 2,
+    },
+  ]);
+});
+
+test('an abandoned deal leaves no hands or roles behind', () => {
+  const state = contractWon({
+    hands: ['KH 5D', '2C 6D', 'AH 7D', '3C 8D'],
+    declarer: 0,
+    contract: { level: 1, suit: 'H' },
+    declarerTeamTricks: 5,
+  });
+  state.players[0].isDeclarer = true;
+  state.players[0].tricks = 3;
+  const { state: after } = run(state, [
+    { type: 'callCard', seat: 0, card: { rank: 14, suit: 'H' } },
+    { type: 'abandonDeal' },
+  ]);
+  assert.equal(after.stage, 'waiting');
+  for (const player of after.players) {
+    assert.deepEqual(player.hand, []);
+    assert.equal(player.tricks, 0);
+    assert.equal(player.isDeclarer, false);
+    assert.equal(player.isPartner, false);
+  }
+});
+
+test('cards must follow suit and trumps wait to be broken', () => {
+  const state = contractWon({
+    hands: ['2S 3H', 'KS 4H', 'AH 5D', '2C 9S'],
+    declarer: 0,
+    contract: { level: 1, suit: 'S' },
+  });
+  const { state: playing } = run(state, [{ type: 'callCard', seat: 0, card: { rank: 14, suit: 'H' } }]);
+  const play = (seat, card) => ({ type: 'play', seat, card: parseCard(card) });
+  assert.equal(refusal(playing, play(1, 'KS')), 'Trump has not been broken yet.');
+  assert.equal(refusal(playing, play(0, '3H')), 'It is not your turn to play.');
+  const { state: led } = run(playing, [play(1, '4H')]);
+  assert.equal(refusal(led, play(2, '5D')), 'You must follow suit H.');
+  assert.equal(refusal(led, play(2, '9D')), 'Card not found in hand.');
+});
+
+test('the declarer may lead in No Trump when the room says so', () => {
+  const state = contractWon({
+    hands: ['2S', '3S', '4S', '5S'],
+    declarer: 2,
+    contract: { level: 1, suit: 'N' },
+    rules: { noTrumpLead: 'declarer' },
+  });
+  const { state: after } = run(state, [{ type: 'callCard', seat: 2, card: { rank: 14, suit: 'S' } }]);
+  assert.equal(after.playingTurn, 2);
+});
+
+test('a declarer who calls their own card plays alone for double points', () => {
+  const state = contractWon({
+    hands: ['2H', 'AS', '3H', '4H'],
+    declarer: 1,
+    contract: { level: 2, suit: 'S' },
+    declarerTeamTricks: 7,
+  });
+  const { state: after, events } = run(state, [
+    { type: 'callCard', seat: 1, card: { rank: 14, suit: 'S' } },
+    { type: 'play', seat: 2, card: { suit: 'H', rank: 3 } },
+    { type: 'play', seat: 3, card: { suit: 'H', rank: 4 } },
+    { type: 'play', seat: 0, card: { suit: 'H', rank: 2 } },
+    { type: 'play', seat: 1, card: { suit: 'S', rank: 14 } },
+  ]);
+  assert.deepEqual(named(events, 'youArePartner'), []);
+  assert.deepEqual(named(events, 'partnerRevealed'), []);
+  const round = named(events, 'roundFinished')[0].data;
+  assert.equal(round.solo, true);
+  assert.equal(round.partner, -1);
+  assert.equal(round.contractMade, true);
+  // Two spades at 30 a trick, doubled for playing alone
+  assert.deepEqual(round.points, [0, 120, 0, 0]);
+  assert.deepEqual(
+    after.players.map((p) => p.sets),
+    [0, 1, 0, 0],
+  );
+  assert.equal(after.stage, 'waiting');
+  assert.equal(after.dealer, 1);
+  assert.equal(after.deals.length, 1);
+  assert.equal(after.deals[0].result.partner, -1);
+  assert.deepEqual(
+    after.players.map((p) => p.ready),
+    [false, false, false, false],
+  );
+});
+
+test('a declarer may not call their own card when the room forbids it', () => {
+  const state = contractWon({
+    hands: ['2H', 'AS', '3H', '4H'],
+    declarer: 1,
+    contract: { level: 2, suit: 'S' },
+    rules: { allowSelfCall: false },
+  });
+  const call = (seat, card) => ({ type: 'callCard', seat, card: parseCard(card) });
+  assert.equal(refusal(state, call(1, 'AS')), 'You may not call a card in your own hand.');
+  assert.equal(refusal(state, call(0, 'KS')), 'Only the declarer can call a card.');
+  assert.equal(refusal(state, call(1, 'AN')), 'Invalid call card.');
+});
+
+test('the last round of a match finishes it', () => {
+  const state = contractWon({
+    hands: ['2H', 'AS', '3H', '4H'],
+    declarer: 1,
+    contract: { level: 1, suit: 'S' },
+    declarerTeamTricks: 8,
+    rules: { matchFormat: 'rounds', matchTarget: 1 },
+  });
+  const { state: after, events } = run(state, [
+    { type: 'callCard', seat: 1, card: { rank: 14, suit: 'S' } },
+    { type: 'play', seat: 2, card: { suit: 'H', rank: 3 } },
+    { type: 'play', seat: 3, card: { suit: 'H', rank: 4 } },
+    { type: 'play', seat: 0, card: { suit: 'H', rank: 2 } },
+    { type: 'play', seat: 1, card: { suit: 'S', rank: 14 } },
+  ]);
+  assert.equal(after.stage, 'finished');
+  assert.deepEqual(named(events, 'matchFinished')[0].data.winners, [1]);
+  const { state: rematch } = run(after, [{ type: 'rematch' }]);
+  assert.equal(rematch.stage, 'waiting');
+  assert.deepEqual(rematch.history, []);
+});
+
+test('a weak hand may be washed for a redeal', () => {
+  const state = newRoom({ allowWash: true });
+  state.players[0].hand = cards('2C 3C 4C 5C 6C 2D 3D 4D 5D 2H 3H 4H 5H');
+  state.players[1].hand = cards('AS KS QS JS 10S 9S 8S 7S 6S 5S 4S 3S 2S');
+  state.players[2].hand = cards('AH KH QH JH 10H 9H 8H 7H 6H 6D 7D 8D 9D');
+  state.players[3].hand = cards('AC KC QC JC 10C 9C 8C 7C AD KD QD JD 10D');
+  state.stage = 'wash';
+  state.seed = 'seed-0';
+  assert.match(refusal(state, { type: 'wash', seat: 1 }), /^Your hand has 10 points/);
+  const { state: after, events } = run(state, [{ type: 'wash', seat: 0 }]);
+  assert.deepEqual(named(events, 'handWashed')[0].data.player, 0);
+  assert.equal(named(events, 'seedRevealed')[0].data.seed, 'seed-0');
+  // The same dealer deals again
+  assert.equal(after.dealer, 0);
+  assert.equal(named(events, 'dealStarted').length, 1);
+  // Declining instead starts the auction once nobody else may wash
+  const declined = run(state, [{ type: 'declineWash', seat: 0 }]);
+  assert.equal(declined.state.stage, 'bidding');
+  assert.equal(declined.state.dealer, 0);
+});
+
+test('bots wash only the weakest hands without a long suit', () => {
+  const bot = (hand) => ({ isBot: true, hand: cards(hand) });
+  assert.equal(botWantsWash(bot('2C 3C 4C 5C 6C 2D 3D 4D 5D 2H 3H 4H 5H')), true);
+  assert.equal(botWantsWash(bot('QC 3C 4C 5C 6C 2D 3D 4D 5D 2H 3H 4H 5H')), true);
+  // Washable, but worth keeping
+  assert.equal(botWantsWash(bot('KC 3C 4C 5C 6C 2D 3D 4D 5D 2H 3H 4H 5H')), false);
+  assert.equal(botWantsWash(bot('2S 3S 4S 5S 6S 7S 2D 3D 4D 2H 3H 4H 5H')), false);
+});
+
+test('an accepted claim scores the remaining tricks as if played out', () => {
+  const state = contractWon({
+    hands: ['2C 3C', 'AS KS', '4C 5C', '6C 7C'],
+    declarer: 1,
+    contract: { level: 2, suit: 'S' },
+    declarerTeamTricks: 6,
+  });
+  const { state: playing } = run(state, [{ type: 'callCard', seat: 1, card: parseCard('AH') }]);
+  const lead = run(playing, [
+    { type: 'play', seat: 2, card: parseCard('4C') },
+    { type: 'play', seat: 3, card: parseCard('6C') },
+    { type: 'play', seat: 0, card: parseCard('2C') },
+    { type: 'play', seat: 1, card: parseCard('KS') },
+  ]).state;
+  const { state: claimed, events } = run(lead, [{ type: 'claim', seat: 1, tricks: 1 }]);
+  assert.deepEqual(named(events, 'claimMade')[0].data, {
+    claimant: 1,
+    tricks: 1,
+    remaining: 1,
+    trivial: true,
+    accepted: [],
+    hand: ['AS'],
+  });
+  assert.equal(refusal(claimed, { type: 'play', seat: 1, card: parseCard('AS') }), 'A claim is waiting for an answer.');
+  assert.equal(refusal(claimed, { type: 'answerClaim', seat: 1, accept: true }), 'You cannot answer your own claim.');
+  const accepts = [0, 2, 3].map((seat) => ({ type: 'answerClaim', seat, accept: true }));
+  const { state: after, events: answered } = run(claimed, accepts);
+  const round = named(answered, 'roundFinished')[0].data;
+  assert.equal(round.declarerTeamTricks, 8);
+  assert.equal(round.contractMade, true);
+  assert.equal(after.deals[0].result.declarerTeamTricks, 8);
+  assert.deepEqual(after.deals[0].claim, { player: 1, tricks: 1 });
+  assert.equal(after.claim, null);
+});
+
+test('a rejected claim lets play continue', () => {
+  const state = contractWon({
+    hands: ['2C 3C', 'AS 8D', '4C 5C', '6C 7C'],
+    declarer: 1,
+    contract: { level: 2, suit: 'S' },
+  });
+  const { state: playing } = run(state, [{ type: 'callCard', seat: 1, card: parseCard('AH') }]);
+  // Seat 2 is on lead and seat 1 cannot be sure of both tricks
+  const { state: claimed, events } = run(playing, [{ type: 'claim', seat: 1, tricks: 2 }]);
+  assert.equal(named(events, 'claimMade')[0].data.trivial, false);
+  assert.equal(refusal(claimed, { type: 'claim', seat: 2, tricks: 0 }), 'A claim is already waiting for an answer.');
+  const { state: after, events: answered } = run(claimed, [
+    { type: 'answerClaim', seat: 0, accept: true },
+    { type: 'answerClaim', seat: 3, accept: false },
+  ]);
+  assert.equal(after.claim, null);
+  assert.equal(after.stage, 'playing');
+  assert.deepEqual(named(answered, 'playTurn')[0].data, { pos: 2, turnMs: 20000 });
+  const { state: led } = run(after, [{ type: 'play', seat: 2, card: parseCard('4C') }]);
+  assert.equal(refusal(led, { type: 'claim', seat: 1, tricks: 1 }), 'Claims can only be made between tricks.');
+});
+
+test('only a claimant on lead with nothing but winners is trivially right', () => {
+  const state = contractWon({
+    hands: ['AS KH', '2S 3D', '4S 5D', 'AH 6D'],
+    declarer: 0,
+    contract: { level: 1, suit: 'N' },
+  });
+  state.stage = 'playing';
+  state.playingTurn = 0;
+  assert.equal(claimIsTrivial(state, 0, 2), false, 'the ace of hearts is out');
+  state.players[3].hand = cards('2H 6D');
+  assert.equal(claimIsTrivial(state, 0, 2), true);
+  assert.equal(claimIsTrivial(state, 1, 0), true, 'conceding is always safe');
+  state.playingTurn = 1;
+  assert.equal(claimIsTrivial(state, 0, 2), false, 'not on lead');
+  // With clubs as trumps a defender could ruff
+  state.playingTurn = 0;
+  state.trumpSuit = 'C';
+  state.players[2].hand = cards('4S 2C');
+  assert.equal(claimIsTrivial(state, 0, 2), false);
+});
@@ -0,0 +1,464 @@
+// Runs the real server on a free port and talks to it over Socket.IO to
+// check that malformed or unauthorised events are turned away without
+// crashing the process or touching room state.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const { io } = require('socket.io-client');
+
+let server;
+let url;
+let dataDir;
+const sockets = [];
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-test-'));
+  const port = await freePort();
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, REDIS_URL: '' },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('listening')) resolve();
+    });
+    server.once('exit', (code) => reject(new Error(`Server exited with code ${code}`)));
+  });
+  url = `http://localhost:${port}`;
+});
+
+after(() => {
+  sockets.forEach((s) => s.disconnect());
+  server.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function connect() {
+  const socket = io(url, { transports: ['websocket'], forceNew: true });
+  sockets.push(socket);
+  await new Promise((resolve) => socket.once('connect', resolve));
+  return socket;
+}
+
+function ask(socket, event, ...args) {
+  return socket.timeout(2000).emitWithAck(event, ...args);
+}
+
+function once(socket, event) {
+  return new Promise((resolve) => socket.once(event, resolve));
+}
+
+let userCount = 0;
+// A connected socket logged in to a fresh account
+async function player() {
+  const socket = await connect();
+  userCount++;
+  const res = await ask(socket, 'register', { username: `player${userCount}`, password: 'secret1' });
+  assert.equal(res.ok, true);
+  return socket;
+}
+
+// A host seated in a new room, created with the given options
+async function hostedRoom(options = {}) {
+  const host = await player();
+  const created = once(host, 'roomCreated');
+  host.emit('createRoom', options);
+  const { roomCode } = await created;
+  const joined = once(host, 'joinedRoom');
+  host.emit('joinRoom', { roomCode });
+  const { token } = await joined;
+  return { host, roomCode, token };
+}
+
+// A second player seated in an existing room
+async function guestOf(roomCode, password) {
+  const socket = await player();
+  const joined = once(socket, 'joinedRoom');
+  socket.emit('joinRoom', { roomCode, password });
+  await joined;
+  return socket;
+}
+
+// The game state a spectator is sent on arrival
+async function watch(roomCode) {
+  const watcher = await connect();
+  const state = once(watcher, 'gameState');
+  watcher.emit('spectateRoom', { roomCode, name: 'Watcher' });
+  const result = await state;
+  watcher.disconnect();
+  return result;
+}
+
+// What a spectator sees of a room: stage and players
+async function snapshot(roomCode) {
+  const result = await watch(roomCode);
+  return { stage: result.stage, players: result.players.map((p) => ({ name: p.name, ready: p.ready })) };
+}
+
+test('malformed payloads are rejected with INVALID_PAYLOAD', async () => {
+  const { host, roomCode } = await hostedRoom();
+  const payloads = [
+    null,
+    'ABCDE',
+    42,
+    [roomCode],
+    { roomCode },
+    { roomCode, card: 7 },
+    { roomCode, card: { slice: 'x' } },
+    { roomCode: { toUpperCase: 1 }, card: 'AS' },
+    { roomCode, card: 'AS', extra: true },
+  ];
+  for (const payload of payloads) {
+    const res = await ask(host, 'playCard', payload);
+    assert.equal(res.ok, false);
+    assert.equal(res.code, 'INVALID_PAYLOAD', JSON.stringify(payload));
+  }
+  // Without an acknowledgement the error arrives as an errorMessage
+  const error = once(host, 'errorMessage');
+  host.emit('setReady', { roomCode, ready: 'yes' });
+  assert.equal((await error).code, 'INVALID_PAYLOAD');
+  // No payload at all
+  const res = await ask(host, 'startGame');
+  assert.equal(res.code, 'INVALID_PAYLOAD');
+});
+
+test('malformed payloads do not crash the server or change the room', async () => {
+  const { host, roomCode } = await hostedRoom();
+  const before = await snapshot(roomCode);
+  host.emit('setReady', null);
+  host.emit('setReady', { roomCode, ready: 1 });
+  host.emit('startGame', { roomCode, turnMs: '15000' });
+  host.emit('startGame', { roomCode, turnMs: 1e15 });
+  host.emit('updateSettings', { roomCode, rules: 'none' });
+  host.emit('swapSeats', { roomCode, from: -1, to: 9 });
+  host.emit('placeBid', { roomCode, level: '3', suit: 'S' });
+  host.emit('callCard', { roomCode, rank: 'A', suit: 'S' });
+  host.emit('notAnEvent', { roomCode });
+  assert.equal((await ask(host, 'constructor', {})).code, 'UNKNOWN_EVENT');
+  assert.equal(server.exitCode, null);
+  assert.deepEqual(await snapshot(roomCode), before);
+  // The server still serves new rooms
+  const other = await hostedRoom();
+  assert.match(other.roomCode, /^[A-Z0-9]{5}$/);
+});
+
+test('events for a room the socket is not seated in are rejected', async () => {
+  const { roomCode } = await hostedRoom();
+  const outsider = await player();
+  for (const [event, payload] of [
+    ['setReady', { roomCode, ready: true }],
+    ['startGame', { roomCode }],
+    ['addBot', { roomCode }],
+    ['sendChat', { roomCode, text: 'hi' }],
+  ]) {
+    assert.equal((await ask(outsider, event, payload)).code, 'NOT_IN_ROOM', event);
+  }
+  // Spectators may chat but not act for a seat
+  const watcher = await connect();
+  const state = once(watcher, 'gameState');
+  watcher.emit('spectateRoom', { roomCode, name: 'Watcher' });
+  await state;
+  assert.equal((await ask(watcher, 'addBot', { roomCode })).code, 'NOT_IN_ROOM');
+  assert.equal((await ask(watcher, 'sendChat', { roomCode, text: 'hello' })).ok, true);
+});
+
+test('a room code typed in lowercase reaches the room', async () => {
+  const { host, roomCode } = await hostedRoom();
+  const listed = once(host, 'playerList');
+  host.emit('setReady', { roomCode: roomCode.toLowerCase(), ready: true });
+  await listed;
+  assert.deepEqual((await snapshot(roomCode)).players.map((p) => p.ready), [true]);
+  const guest = await player();
+  const joined = once(guest, 'joinedRoom');
+  guest.emit('joinRoom', { roomCode: roomCode.toLowerCase() });
+  assert.equal((await joined).roomCode, roomCode);
+});
+
+test('a kicked player may neither sit nor watch again', async () => {
+  const { host, roomCode } = await hostedRoom();
+  const guest = await guestOf(roomCode);
+  const username = `player${userCount}`;
+  assert.equal((await ask(guest, 'kickPlayer', { roomCode, pos: 0 })).error, 'Only the host can kick players.');
+  const kicked = once(guest, 'kicked');
+  assert.equal((await ask(host, 'kickPlayer', { roomCode, pos: 1 })).ok, true);
+  await kicked;
+  assert.equal((await snapshot(roomCode)).players.length, 1);
+  const refused = 'The host has removed you from this room.';
+  for (const [event, payload] of [
+    ['joinRoom', { roomCode }],
+    ['spectateRoom', { roomCode, name: 'Someone' }],
+  ]) {
+    const error = once(guest, 'errorMessage');
+    guest.emit(event, payload);
+    assert.equal((await error).message, refused, event);
+  }
+  // Nor under the same name from another socket
+  const other = await connect();
+  const error = once(other, 'errorMessage');
+  other.emit('spectateRoom', { roomCode, name: username });
+  assert.equal((await error).message, refused);
+});
+
+test('only the host hands over the room, and only to a human at the table', async () => {
+  const { host, roomCode } = await hostedRoom();
+  const guest = await guestOf(roomCode);
+  assert.equal((await ask(host, 'addBot', { roomCode })).ok, true);
+  assert.equal((await ask(guest, 'transferHost', { roomCode, pos: 1 })).error, 'Only the host can hand over the room.');
+  for (const pos of [0, 2, 3]) {
+    assert.equal((await ask(host, 'transferHost', { roomCode, pos })).error, 'That player cannot become host.', pos);
+  }
+  assert.equal((await ask(host, 'transferHost', { roomCode, pos: 1 })).ok, true);
+  // The new host holds the host's powers and the old one has lost them
+  assert.equal((await ask(host, 'addBot', { roomCode })).error, 'Only the host can add bots.');
+  assert.equal((await ask(guest, 'kickPlayer', { roomCode, pos: 0 })).ok, true);
+});
+
+test('chat is filtered and each sender is held to a few messages at a time', async () => {
+  const { host, roomCode } = await hostedRoom();
+  const say = async (payload) => {
+    const shared = once(host, 'chatMessage');
+    assert.equal((await ask(host, 'sendChat', { roomCode, ...payload })).ok, true);
+    return shared;
+  };
+  assert.equal((await say({ text: '  What   the fuck,\nclassy play ' })).text, 'What the ****, classy play');
+  const reaction = await say({ reaction: 'gg' });
+  assert.deepEqual([reaction.text, reaction.reaction], ['gg', 'gg']);
+  for (const [payload, error] of [
+    [{ reaction: 'boo' }, 'Unknown reaction.'],
+    [{ text: '   ' }, 'Message is empty.'],
+    [{ text: 'x'.repeat(201) }, 'Messages are at most 200 characters.'],
+  ]) {
+    assert.equal((await ask(host, 'sendChat', { roomCode, ...payload })).error, error);
+  }
+  // Refused messages do not count towards the limit of five
+  await say({ text: 'three' });
+  await say({ text: 'four' });
+  await say({ text: 'five' });
+  assert.equal((await ask(host, 'sendChat', { roomCode, text: 'six' })).error, 'You are sending messages too quickly.');
+});
+
+test('a socket cannot sit in two rooms', async () => {
+  const first = await hostedRoom();
+  const second = await hostedRoom();
+  const res = await ask(first.host, 'joinRoom', { roomCode: second.roomCode });
+  assert.equal(res.code, 'ALREADY_IN_ROOM');
+  const res2 = await ask(first.host, 'spectateRoom', { roomCode: second.roomCode, name: 'x' });
+  assert.equal(res2.code, 'ALREADY_IN_ROOM');
+  assert.equal((await snapshot(second.roomCode)).players.length, 1);
+});
+
+test('actions the game refuses are acknowledged with REJECTED', async () => {
+  const { host, roomCode } = await hostedRoom();
+  const res = await ask(host, 'startGame', { roomCode, turnMs: 15000 });
+  assert.deepEqual(res, { ok: false, error: 'Need 4 players to start.', code: 'REJECTED' });
+});
+
+test('each socket is rate limited', async () => {
+  const { host, roomCode } = await hostedRoom();
+  const results = await Promise.all(
+    Array.from({ length: 60 }, () => ask(host, 'updateSettings', { roomCode, rules: { allowWash: true } })),
+  );
+  const accepted = results.filter((r) => r.ok).length;
+  const limited = results.filter((r) => r.code === 'RATE_LIMITED').length;
+  // The burst allowance (less what creating the room used) gets through
+  assert.ok(accepted >= 20, `${accepted} accepted`);
+  assert.ok(limited >= 20, `${limited} limited`);
+  assert.equal(accepted + limited, results.length);
+  // Other sockets are unaffected
+  const other = await player();
+  assert.equal((await ask(other, 'login', { username: 'nobody', password: 'secret1' })).code, 'REJECTED');
+});
+
+test('accounts sign in with a password or a session token', async () => {
+  const socket = await connect();
+  assert.match((await ask(socket, 'register', { username: 'a', password: 'secret1' })).error, /^Usernames are/);
+  assert.match((await ask(socket, 'register', { username: 'Alice', password: '123' })).error, /^Passwords need/);
+  const registered = await ask(socket, 'register', { username: 'Alice', password: 'secret1' });
+  assert.equal(registered.ok, true);
+  assert.equal(registered.user.username, 'Alice');
+  assert.equal((await ask(socket, 'register', { username: 'alice', password: 'secret2' })).error, 'That username is taken.');
+  // A wrong password and an unknown account get the same answer
+  const other = await connect();
+  for (const credentials of [
+    { username: 'Alice', password: 'secret2' },
+    { username: 'Nobody', password: 'secret1' },
+  ]) {
+    assert.deepEqual(await ask(other, 'login', credentials), {
+      ok: false,
+      error: 'Wrong username or password.',
+      code: 'REJECTED',
+    });
+  }
+  const login = await ask(other, 'login', { username: 'ALICE', password: 'secret1' });
+  assert.equal(login.ok, true);
+  assert.notEqual(login.token, registered.token);
+  // Neither the client nor the public profile sees the password hash
+  const profile = await (await fetch(`${url}/api/users/alice`)).json();
+  for (const user of [registered.user, login.user, profile]) {
+    assert.equal(user.hash, undefined);
+    assert.equal(user.salt, undefined);
+  }
+  // A session token signs in until it is logged out
+  const later = await connect();
+  assert.equal((await ask(later, 'login', { token: login.token })).user.username, 'Alice');
+  other.emit('logout', { token: login.token });
+  const expired = await ask(other, 'login', { token: login.token });
+  assert.equal(expired.error, 'Session expired. Please log in again.');
+  assert.equal((await ask(later, 'login', { token: registered.token })).ok, true);
+});
+
+test('rooms need a signed-in account to create or join', async () => {
+  const { roomCode } = await hostedRoom();
+  const anonymous = await connect();
+  for (const [event, payload, message] of [
+    ['createRoom', {}, 'Log in to create a room.'],
+    ['joinRoom', { roomCode }, 'Log in to join a room.'],
+  ]) {
+    const error = once(anonymous, 'errorMessage');
+    anonymous.emit(event, payload);
+    assert.equal((await error).message, message);
+  }
+  assert.equal((await snapshot(roomCode)).players.length, 1);
+});
+
+test('a majority vote pauses the deal and holds the turn clock', async () => {
+  const { host, roomCode } = await hostedRoom();
+  for (let i = 0; i < 3; i++) assert.equal((await ask(host, 'addBot', { roomCode })).ok, true);
+  host.emit('setReady', { roomCode, ready: true });
+  const started = once(host, 'biddingTurn');
+  assert.equal((await ask(host, 'startGame', { roomCode, turnMs: 15000 })).ok, true);
+  await started;
+  // The only human is a majority on their own
+  let update = once(host, 'pauseUpdate');
+  host.emit('votePause', { roomCode, pause: true });
+  assert.equal((await update).paused, true);
+  const rejected = once(host, 'errorMessage');
+  host.emit('placeBid', { roomCode, level: 1, suit: 'C' });
+  assert.equal((await rejected).message, 'The game is paused.');
+  // Bots wait too, well past their thinking time
+  const before = await watch(roomCode);
+  assert.equal(before.paused, true);
+  await new Promise((resolve) => setTimeout(resolve, 1500));
+  const after = await watch(roomCode);
+  assert.deepEqual(after.auction, before.auction);
+  assert.equal(after.biddingTurn, before.biddingTurn);
+  update = once(host, 'pauseUpdate');
+  host.emit('votePause', { roomCode, pause: false });
+  const resumed = await update;
+  assert.equal(resumed.paused, false);
+  assert.ok(resumed.remainingMs > 0 && resumed.remainingMs <= 15000);
+});
+
+test('pending pause votes are recounted when a voter drops out', async () => {
+  const { host, roomCode } = await hostedRoom();
+  const guest = await guestOf(roomCode);
+  for (let i = 0; i < 2; i++) assert.equal((await ask(host, 'addBot', { roomCode })).ok, true);
+  for (const socket of [host, guest]) {
+    const listed = once(host, 'playerList');
+    socket.emit('setReady', { roomCode, ready: true });
+    await listed;
+  }
+  const started = once(host, 'biddingTurn');
+  assert.equal((await ask(host, 'startGame', { roomCode, turnMs: 15000 })).ok, true);
+  await started;
+  let update = once(host, 'pauseUpdate');
+  host.emit('votePause', { roomCode, pause: true });
+  const pending = await update;
+  assert.equal(pending.paused, false);
+  assert.deepEqual(pending.votes, [0]);
+  assert.equal(pending.needed, 2);
+  // The seat is held, but the host's vote is now a majority of those left
+  update = once(host, 'pauseUpdate');
+  guest.disconnect();
+  const paused = await update;
+  assert.equal(paused.paused, true);
+  assert.equal(paused.needed, 1);
+  const state = await watch(roomCode);
+  assert.equal(state.stage, 'bidding');
+  assert.equal(state.paused, true);
+});
+
+test('a room password keeps out players and spectators without it', async () => {
+  const { roomCode } = await hostedRoom({ password: 'letmein' });
+  const guest = await player();
+  for (const [event, payload] of [
+    ['joinRoom', { roomCode }],
+    ['joinRoom', { roomCode, password: 'wrong' }],
+    ['spectateRoom', { roomCode, name: 'Watcher' }],
+    ['spectateRoom', { roomCode, name: 'Watcher', password: 'wrong' }],
+  ]) {
+    const error = once(guest, 'errorMessage');
+    guest.emit(event, payload);
+    assert.equal((await error).message, 'Wrong room password.', JSON.stringify(payload));
+  }
+  const joined = once(guest, 'joinedRoom');
+  guest.emit('joinRoom', { roomCode, password: 'letmein' });
+  assert.equal((await joined).roomCode, roomCode);
+  const watcher = await connect();
+  const state = once(watcher, 'gameState');
+  watcher.emit('spectateRoom', { roomCode, name: 'Watcher', password: 'letmein' });
+  assert.equal((await state).players.length, 2);
+});
+
+test('private rooms stay out of the rooms list', async () => {
+  const open = await hostedRoom();
+  const locked = await hostedRoom({ password: 'letmein' });
+  const hidden = await hostedRoom({ private: true });
+  const socket = io(url, { transports: ['websocket'], forceNew: true });
+  sockets.push(socket);
+  const { rooms } = await once(socket, 'roomsList');
+  const listed = (code) => rooms.find((room) => room.code === code);
+  assert.equal(listed(open.roomCode).locked, false);
+  assert.equal(listed(locked.roomCode).locked, true);
+  assert.equal(listed(hidden.roomCode), undefined);
+  // The code alone still lets a player in
+  await guestOf(hidden.roomCode);
+  assert.equal((await snapshot(hidden.roomCode)).players.length, 2);
+});
+
+test('deals of private and locked rooms are only shown to their players', async () => {
+  const status = async (roomCode, query = '') => (await fetch(`${url}/api/rooms/${roomCode}/deals${query}`)).status;
+  const rules = { spectatorsSeeHands: true };
+  const open = await hostedRoom({ rules });
+  assert.equal(await status(open.roomCode), 200);
+  const locked = await hostedRoom({ rules, password: 'letmein' });
+  for (const path of ['deals', 'deals.pbn']) {
+    assert.equal((await fetch(`${url}/api/rooms/${locked.roomCode}/${path}`)).status, 403, path);
+  }
+  assert.equal(await status(locked.roomCode, '?password=wrong'), 403);
+  assert.equal(await status(locked.roomCode, '?password=letmein'), 200);
+  assert.equal(await status(locked.roomCode, `?token=${locked.token}`), 200);
+  const hidden = await hostedRoom({ rules, private: true });
+  assert.equal(await status(hidden.roomCode), 403);
+  // Another table's seat token does not open it
+  assert.equal(await status(hidden.roomCode, `?token=${open.token}`), 403);
+  assert.equal(await status(hidden.roomCode, `?token=${hidden.token}`), 200);
+});
+
+test('deals are kept from outsiders when spectators may not see the hands', async () => {
+  const status = async (roomCode, query = '') => (await fetch(`${url}/api/rooms/${roomCode}/deals${query}`)).status;
+  const open = await hostedRoom();
+  assert.equal(await status(open.roomCode), 403);
+  assert.equal((await fetch(`${url}/api/rooms/${open.roomCode}/deals.pbn`)).status, 403);
+  assert.equal(await status(open.roomCode, `?token=${open.token}`), 200);
+  const locked = await hostedRoom({ password: 'letmein' });
+  assert.equal(await status(locked.roomCode, '?password=letmein'), 403);
+  assert.equal(await status(locked.roomCode, `?token=${locked.token}`), 200);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES, validateEvent, createRateLimiter } = require('../validation');
+
+test('accepts well-formed payloads', () => {
+  assert.ok(validateEvent('playCard', { roomCode: 'ABCDE', card: '10H' }).schema);
+  assert.ok(validateEvent('placeBid', { roomCode: 'ABCDE', level: 0, suit: null }).schema);
+  assert.ok(validateEvent('placeBid', { roomCode: 'ABCDE', level: 3, suit: 'N' }).schema);
+  assert.ok(validateEvent('startGame', { roomCode: 'ABCDE', turnMs: 15000, seed: '' }).schema);
+  assert.ok(validateEvent('createRoom', {}).schema);
+  assert.ok(validateEvent('logout', { token: null }).schema);
+});
+
+test('rejects payloads that are not objects', () => {
+  for (const payload of [undefined, null, 'ABCDE', 42, [], () => {}]) {
+    assert.equal(validateEvent('setReady', payload).code, ERROR_CODES.INVALID_PAYLOAD);
+  }
+});
+
+test('rejects fields of the wrong type or range', () => {
+  const bad = [
+    ['playCard', { roomCode: 'ABCDE', card: 7 }],
+    ['playCard', { roomCode: 'ABCDE', card: { rank: 14 } }],
+    ['playCard', { roomCode: 'ABCDE', card: '1H' }],
+    ['playCard', { roomCode: 'ABCDE', card: 'AX' }],
+    ['setReady', { roomCode: 'ABCDE', ready: 'yes' }],
+    ['setReady', { roomCode: ['ABCDE'], ready: true }],
+    ['setReady', { roomCode: 'ABCDEF', ready: true }],
+    ['startGame', { roomCode: 'ABCDE', turnMs: '15000' }],
+    ['startGame', { roomCode: 'ABCDE', turnMs: 1e12 }],
+    ['placeBid', { roomCode: 'ABCDE', level: 8, suit: 'S' }],
+    ['placeBid', { roomCode: 'ABCDE', level: 1.5, suit: 'S' }],
+    ['callCard', { roomCode: 'ABCDE', rank: 14, suit: 'N' }],
+    ['swapSeats', { roomCode: 'ABCDE', from: 0, to: 4 }],
+    ['sendChat', { roomCode: 'ABCDE', text: 'x'.repeat(1001) }],
+  ];
+  for (const [event, payload] of bad) {
+    assert.equal(validateEvent(event, payload).code, ERROR_CODES.INVALID_PAYLOAD, `${event} ${JSON.stringify(payload)}`);
+  }
+});
+
+test('rejects missing and unexpected fields', () => {
+  assert.equal(validateEvent('playCard', { roomCode: 'ABCDE' }).code, ERROR_CODES.INVALID_PAYLOAD);
+  assert.equal(validateEvent('setReady', { roomCode: 'ABCDE', ready: true, pos: 0 }).code, ERROR_CODES.INVALID_PAYLOAD);
+});
+
+test('rejects unknown events, including inherited property names', () => {
+  assert.equal(validateEvent('deleteEverything', {}).code, ERROR_CODES.UNKNOWN_EVENT);
+  assert.equal(validateEvent('constructor', {}).code, ERROR_CODES.UNKNOWN_EVENT);
+  assert.equal(validateEvent('toString', {}).code, ERROR_CODES.UNKNOWN_EVENT);
+});
+
+test('rate limiter allows a burst, then refills over time', () => {
+  const start = 1000000;
+  const allow = createRateLimiter(3, 2);
+  assert.equal(allow(start), true);
+  assert.equal(allow(start), true);
+  assert.equal(allow(start), true);
+  assert.equal(allow(start), false);
+  // Half a second refills one token at two per second
+  assert.equal(allow(start + 500), true);
+  assert.equal(allow(start + 500), false);
+  // A long pause refills no more than the burst size
+  assert.equal(allow(start + 60000), true);
+  assert.equal(allow(start + 60000), true);
+  assert.equal(allow(start + 60000), true);
+  assert.equal(allow(start + 60000), false);
+});
@@ -0,0 +1,144 @@
+/**
+ * Checks applied to every event a client sends before any handler
+ * sees it: the payload must match the event's schema, and each socket
+ * may only send so many events per second.
+ *
+ * A schema lists the payload's fields and a check for each; fields
+ * wrapped in optional() may be left out and any field not listed is
+ * rejected. `room` says whether the event acts on a room the socket
+ * must already be in ('seated' for players only, 'member' for players
+ * and spectators) and `entersRoom` marks events that put the socket
+ * into a room.
+ *
+ * Failures carry one of ERROR_CODES so clients can tell them apart
+ * without parsing messages.
+ */
+
+const ERROR_CODES = {
+  // The event name is not one the server handles
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+  // The payload is missing, has the wrong shape or an unexpected field
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  // The socket sent too many events too quickly
+  RATE_LIMITED: 'RATE_LIMITED',
+  // The event names a room the socket is not seated in
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  // The socket tried to enter a second room
+  ALREADY_IN_ROOM: 'ALREADY_IN_ROOM',
+  // The payload was valid but the game refused the action
+  REJECTED: 'REJECTED',
+};
+
+const ROOM_CODE_PATTERN = /^[A-Za-z0-9]{5}$/;
+const CARD_PATTERN = /^(10|[2-9JQKA])[CDHS]$/;
+
+const isText = (max) => (v) => typeof v === 'string' && v.length <= max;
+const isInt = (min, max) => (v) => Number.isInteger(v) && v >= min && v <= max;
+const isBool = (v) => typeof v === 'boolean';
+const oneOf = (...values) => (v) => values.includes(v);
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isRoomCode = (v) => typeof v === 'string' && ROOM_CODE_PATTERN.test(v);
+const isCard = (v) => typeof v === 'string' && CARD_PATTERN.test(v);
+const nullable = (check) => (v) => v === null || check(v);
+const optional = (check) => Object.assign((v) => check(v), { optional: true });
+
+const seat = isInt(0, 3);
+
+const EVENT_SCHEMAS = {
+  register: { fields: { username: isText(40), password: isText(200) } },
+  login: {
+    fields: { username: optional(isText(40)), password: optional(isText(200)), token: optional(isText(100)) },
+  },
+  logout: { fields: { token: optional(nullable(isText(100))) } },
+  createRoom: {
+    fields: { rules: optional(isPlainObject), private: optional(isBool), password: optional(isText(64)) },
+  },
+  joinRoom: { fields: { roomCode: isRoomCode, password: optional(isText(64)) }, entersRoom: true },
+  spectateRoom: {
+    fields: { roomCode: isRoomCode, name: optional(isText(40)), password: optional(isText(64)) },
+    entersRoom: true,
+  },
+  rejoinRoom: { fields: { roomCode: isRoomCode, token: isText(64) }, entersRoom: true },
+  setReady: { fields: { roomCode: isRoomCode, ready: isBool }, room: 'seated' },
+  updateSettings: { fields: { roomCode: isRoomCode, rules: isPlainObject }, room: 'seated' },
+  startGame: {
+    fields: {
+      roomCode: isRoomCode,
+      turnMs: optional(nullable(isInt(0, 600000))),
+      rules: optional(isPlainObject),
+      seed: optional(nullable(isText(128))),
+    },
+    room: 'seated',
+  },
+  placeBid: {
+    fields: { roomCode: isRoomCode, level: isInt(0, 7), suit: optional(nullable(oneOf('C', 'D', 'H', 'S', 'N'))) },
+    room: 'seated',
+  },
+  callCard: { fields: { roomCode: isRoomCode, rank: isInt(2, 14), suit: oneOf('C', 'D', 'H', 'S') }, room: 'seated' },
+  playCard: { fields: { roomCode: isRoomCode, card: isCard }, room: 'seated' },
+  claimTricks: { fields: { roomCode: isRoomCode, tricks: isInt(0, 13) }, room: 'seated' },
+  answerClaim: { fields: { roomCode: isRoomCode, accept: isBool }, room: 'seated' },
+  rematch: { fields: { roomCode: isRoomCode }, room: 'seated' },
+  pauseAutoDeal: { fields: { roomCode: isRoomCode }, room: 'seated' },
+  resumeAutoDeal: { fields: { roomCode: isRoomCode }, room: 'seated' },
+  votePause: { fields: { roomCode: isRoomCode, pause: isBool }, room: 'seated' },
+  requestWash: { fields: { roomCode: isRoomCode }, room: 'seated' },
+  declineWash: { fields: { roomCode: isRoomCode }, room: 'seated' },
+  addBot: { fields: { roomCode: isRoomCode }, room: 'seated' },
+  removeBot: { fields: { roomCode: isRoomCode, pos: seat }, room: 'seated' },
+  botTakeover: { fields: { roomCode: isRoomCode, pos: seat }, room: 'seated' },
+  kickPlayer: { fields: { roomCode: isRoomCode, pos: seat }, room: 'seated' },
+  transferHost: { fields: { roomCode: isRoomCode, pos: seat }, room: 'seated' },
+  swapSeats: { fields: { roomCode: isRoomCode, from: seat, to: seat }, room: 'seated' },
+  sendChat: {
+    fields: { roomCode: isRoomCode, text: optional(isText(1000)), reaction: optional(isText(20)) },
+    room: 'member',
+  },
+};
+
+/**
+ * Check an event's payload against its schema.
+ *
+ * @param {string} event
+ * @param {*} payload
+ * @returns {{schema?:object, code?:string, error?:string}}
+ */
+function validateEvent(event, payload) {
+  const schema = Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event) ? EVENT_SCHEMAS[event] : null;
+  if (!schema) return { code: ERROR_CODES.UNKNOWN_EVENT, error: `Unknown event ${event}.` };
+  if (!isPlainObject(payload)) return { code: ERROR_CODES.INVALID_PAYLOAD, error: 'Payload must be an object.' };
+  for (const key of Object.keys(payload)) {
+    if (!Object.prototype.hasOwnProperty.call(schema.fields, key)) {
+      return { code: ERROR_CODES.INVALID_PAYLOAD, error: `Unexpected field ${key}.` };
+    }
+  }
+  for (const [key, check] of Object.entries(schema.fields)) {
+    const value = payload[key];
+    if (value === undefined && check.optional) continue;
+    if (!check(value)) return { code: ERROR_CODES.INVALID_PAYLOAD, error: `Invalid ${key}.` };
+  }
+  return { schema };
+}
+
+/**
+ * Token bucket allowing bursts of `capacity` events, refilled at
+ * `perSecond` events per second.
+ *
+ * @param {number} capacity
+ * @param {number} perSecond
+ * @returns {function(number=):boolean} takes one token, false when empty
+ */
+function createRateLimiter(capacity, perSecond) {
+  let tokens = capacity;
+  let last = null;
+  return (now = Date.now()) => {
+    const elapsed = last === null ? 0 : Math.max(0, now - last);
+    tokens = Math.min(capacity, tokens + (elapsed / 1000) * perSecond);
+    last = now;
+    if (tokens < 1) return false;
+    tokens -= 1;
+    return true;
+  };
+}
+
+module.exports = { ERROR_CODES, validateEvent, createRateLimiter };